@@ -7,4 +7,7 @@ Data.VERSION = '0.8.0';
 
 Data.Graph = require('./src/graph');
 
+// Node.js only, as it persists graphs in the file system
+Data.FileStore = require('./src/file_store');
+
 module.exports = Data;
@@ -0,0 +1,299 @@
+"use strict";
+
+var _ = require("underscore");
+var Validator = require("./validator");
+var ReferenceIndex = require("./reference_index");
+var GraphError = require("./errors").GraphError;
+
+// Data.Checker
+// ========
+//
+// Checks the integrity of all nodes of a graph, e.g., of legacy documents
+// which have been loaded via `seed` without validation, and repairs them.
+//
+// Issues are reported like validation issues (see `Data.Validator`), with a
+// `kind` telling what is wrong:
+// - "type": the node's type is missing or unknown
+// - "property": the property is not declared by the node's type
+// - "value": the value does not match the property's type or constraints,
+//   or a required property is missing
+// - "reference": the value references a node which does not exist or is of a
+//   wrong type; `target` holds the referenced id
+// - "index": the node's entries in an index have drifted from the node;
+//   `index` holds the name of the index ("references" for the reference index)
+
+// Stored values of these types are never strings, as `Schema.parseValue`
+// parses strings when nodes are created
+var PARSED_TYPES = ["object", "array", "map", "set", "number", "integer", "float", "boolean"];
+
+// Repair actions per kind of issue, the first one is the default
+var ACTIONS = {
+  type: ["delete", "keep"],
+  property: ["remove", "keep"],
+  value: ["remove", "keep"],
+  reference: ["nullify", "cascade", "keep"]
+};
+
+var Checker = function(graph) {
+  Validator.call(this, graph);
+};
+
+Checker.Prototype = function() {
+
+  var __super__ = Validator.prototype;
+
+  var _issue = function(issues, kind, path, message, extra) {
+    issues.push(_.extend({
+      kind: kind,
+      path: path,
+      message: message
+    }, extra));
+  };
+
+  var _ofKind = function(issues, kind) {
+    return _.filter(issues, function(issue) { return issue.kind === kind; });
+  };
+
+  // Checks all nodes and indexes
+  // --------
+  //
+  // Returns the list of issues, which is empty for an intact graph.
+
+  this.check = function() {
+    var issues = this.checkNodes();
+    this.checkIndexes(issues);
+    return issues;
+  };
+
+  this.checkNodes = function() {
+    var issues = [];
+    _.each(this.graph.nodes, function(node, id) {
+      this.checkNode(id, node, issues);
+    }, this);
+    return issues;
+  };
+
+  this.checkNode = function(id, node, issues) {
+    if (!_.isObject(node) || !node.type) {
+      return _issue(issues, "type", [id, "type"], "Missing node type.");
+    }
+    if (!this.schema.isNodeType(node.type)) {
+      return _issue(issues, "type", [id, "type"], "Unknown node type: " + node.type);
+    }
+
+    var specs = this.schema.propertySpecs(node.type);
+    _.each(_.keys(node), function(name) {
+      if (name !== "id" && name !== "type" && !_.has(specs, name)) {
+        _issue(issues, "property", [id, name], "Unknown property.");
+      }
+    });
+
+    _.each(this.schema.requiredProperties(node.type), function(name) {
+      if (node[name] === undefined || node[name] === null) {
+        _issue(issues, "value", [id, name], "Missing required property.");
+      }
+    });
+
+    _.each(specs, function(spec, name) {
+      if (node[name] === undefined) return;
+      var found = [];
+      this.parseValue([id, name], spec, node[name], found);
+      _.each(found, function(issue) {
+        issues.push(_.extend({ kind: "value" }, issue));
+      });
+    }, this);
+  };
+
+  // Values are checked as they are stored, so e.g. "5" is not a number
+  this.parseValue = function(path, type, value, issues) {
+    var baseType = _.isArray(type) ? type[0] : type;
+    if (_.isString(value) && PARSED_TYPES.indexOf(baseType) >= 0) {
+      _issue(issues, "value", path, "Illegal value type: expected " + baseType + ".");
+      return value;
+    }
+    return __super__.parseValue.call(this, path, type, value, issues);
+  };
+
+  this.checkReference = function(path, type, value, issues) {
+    var count = issues.length;
+    __super__.checkReference.call(this, path, type, value, issues);
+    if (!_.isString(value)) return;
+    _.each(issues.slice(count), function(issue) {
+      issue.kind = "reference";
+      issue.target = value;
+    });
+  };
+
+  // Compares the graph's indexes with the nodes
+  this.checkIndexes = function(issues) {
+    var references = new ReferenceIndex(this.graph);
+    references.rebuild();
+    var outgoing = this.graph.references.outgoing;
+    _.each(_.union(_.keys(outgoing), _.keys(references.outgoing)), function(id) {
+      if (!_.isEqual(outgoing[id], references.outgoing[id])) {
+        _issue(issues, "index", [id], "Reference index is out of sync.", { index: "references" });
+      }
+    });
+
+    _.each(this.graph.indexes, function(index, name) {
+      _.each(index.drifted(), function(id) {
+        _issue(issues, "index", [id], "Index " + name + " is out of sync.", { index: name });
+      });
+    });
+  };
+
+  // Repairs the graph
+  // --------
+  //
+  // Fixes the issues found by `check` as far as possible. A policy selects
+  // an action per kind of issue:
+  // - type: "delete" removes nodes of unknown types
+  // - property: "remove" removes undeclared properties
+  // - value: "remove" replaces illegal values by the property's default value
+  //   or removes them
+  // - reference: "nullify" removes references to missing nodes (see
+  //   `Graph.delete`), "cascade" deletes the referencing nodes
+  // The first action is the default; "keep" leaves the issues untouched.
+  // Indexes are always rebuilt.
+  //
+  // Repairs are applied as operations within one transaction, so they are
+  // recorded and journaled like other changes and can be undone as one step.
+  //
+  // Returns a report `{repaired: [...], remaining: [...]}` with the repaired
+  // issues, each with the applied `action`, and the issues left.
+
+  this.repair = function(policy) {
+    var graph = this.graph;
+    if (graph.__transaction__) {
+      throw new GraphError("Can not repair a graph within a transaction.");
+    }
+
+    policy = _.extend(_.object(_.keys(ACTIONS), _.map(ACTIONS, _.first)), policy);
+    _.each(policy, function(action, kind) {
+      if (!ACTIONS[kind] || ACTIONS[kind].indexOf(action) < 0) {
+        throw new GraphError("Unknown repair action for " + kind + ": " + action);
+      }
+    });
+
+    var repaired = [];
+    var fixed = function(issue, action) {
+      repaired.push(_.extend({ action: action }, issue));
+    };
+
+    // Indexes are checked before nodes are changed
+    var drifted = [];
+    this.checkIndexes(drifted);
+
+    // Changing nodes may introduce new issues, e.g., deleted nodes leave
+    // dangling references, so the nodes are checked again before each step
+    graph.transaction(function() {
+      if (policy.type === "delete") {
+        _.each(_ofKind(this.checkNodes(), "type"), function(issue) {
+          this._delete(issue.path[0]);
+          fixed(issue, "delete");
+        }, this);
+      }
+
+      if (policy.property === "remove") {
+        var byNode = _.groupBy(_ofKind(this.checkNodes(), "property"), function(issue) {
+          return issue.path[0];
+        });
+        _.each(byNode, function(issues, id) {
+          this._replace(id, _.omit(graph.nodes[id], _.map(issues, function(issue) {
+            return issue.path[1];
+          })));
+          _.each(issues, function(issue) {
+            fixed(issue, "remove");
+          });
+        }, this);
+      }
+
+      if (policy.value === "remove") {
+        this._repairValues(_ofKind(this.checkNodes(), "value"), fixed);
+      }
+
+      if (policy.reference === "nullify") {
+        _.each(_ofKind(this.checkNodes(), "reference"), function(issue) {
+          var path = issue.path.slice(0, 2);
+          this._set(path, ReferenceIndex.without(graph.get(path), issue.target));
+          fixed(issue, "nullify");
+        }, this);
+      } else if (policy.reference === "cascade") {
+        // Deleted referrers may be referenced themselves
+        var dangling = _ofKind(this.checkNodes(), "reference");
+        while (dangling.length > 0) {
+          _.each(dangling, function(issue) {
+            if (graph.contains(issue.path[0])) this._delete(issue.path[0]);
+            fixed(issue, "cascade");
+          }, this);
+          dangling = _ofKind(this.checkNodes(), "reference");
+        }
+      }
+    }, this);
+
+    graph.references.rebuild();
+    graph._updateIndexes();
+    _.each(drifted, function(issue) {
+      fixed(issue, "rebuild");
+    });
+
+    var report = {
+      repaired: repaired,
+      remaining: this.check()
+    };
+    graph.trigger("graph:repair", report);
+    return report;
+  };
+
+  // Replaces illegal values by default values or removes them.
+  // Missing required properties without default value can not be repaired.
+  this._repairValues = function(issues, fixed) {
+    var byNode = _.groupBy(issues, function(issue) {
+      return issue.path[0];
+    });
+    _.each(byNode, function(nodeIssues, id) {
+      var node = _.clone(this.graph.nodes[id]);
+      var changed = false;
+      _.each(_.groupBy(nodeIssues, function(issue) { return issue.path[1]; }), function(group, name) {
+        var action;
+        if (_.has(this.schema.propertySpec(node.type, name), "default")) {
+          node[name] = this.schema.defaultValue(node.type, name);
+          action = "default";
+        } else if (node[name] !== undefined && node[name] !== null) {
+          delete node[name];
+          action = "remove";
+        } else {
+          return;
+        }
+        changed = true;
+        _.each(group, function(issue) {
+          fixed(issue, action);
+        });
+      }, this);
+      if (changed) this._replace(id, node);
+    }, this);
+  };
+
+  // Repairs bypass the validation of `Graph.set` and `Graph.delete`,
+  // as the nodes are invalid
+  this._set = function(path, value) {
+    this.graph._apply({ type: "set", path: path, val: value, original: this.graph.get(path) });
+  };
+
+  this._delete = function(id) {
+    this.graph._apply({ type: "delete", path: [id], val: this.graph.nodes[id] });
+  };
+
+  // Nodes with undeclared properties or illegal values are replaced, as
+  // undeclared properties can not be addressed by paths (see `Data.Property`)
+  // and illegal values can not be set when undoing
+  this._replace = function(id, node) {
+    this._delete(id);
+    this.graph._apply({ type: "create", path: [id], val: node });
+  };
+};
+
+Checker.Prototype.prototype = Validator.prototype;
+Checker.prototype = new Checker.Prototype();
+
+module.exports = Checker;
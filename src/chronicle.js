@@ -0,0 +1,261 @@
+"use strict";
+
+var _ = require("underscore");
+var util = require("substance-util");
+var Operation = require("./operation");
+var GraphError = require("./errors").GraphError;
+
+// Data.Chronicle
+// ========
+//
+// Records the history of a graph as a DAG of versions.
+//
+// Every version holds the operations which lead from its parent version to it.
+// The root version is the graph's state when the chronicle was created.
+// Operations applied since the current version are collected until they are
+// committed:
+//
+//     graph.create({id: "pear", type: "fruit", name: "Pear"});
+//     var v1 = graph.commit("Added a pear");
+//     graph.set(["pear", "color"], "green");
+//     var v2 = graph.commit("Made the pear green");
+//     graph.checkout(v1);
+//
+// Versions can be referenced by id, branch name or tag name.
+//
+// Versions are kept when the graph is reset or loaded (see `rewind`);
+// `reset` discards them.
+
+var Chronicle = function(graph) {
+  this.graph = graph;
+
+  graph.on("graph:op", this.record, this);
+  graph.on("graph:reset", this.rewind, this);
+
+  this.reset();
+};
+
+Chronicle.ROOT = "ROOT";
+
+Chronicle.Prototype = function() {
+
+  // Collects operations applied since the current version
+  this.record = function(op) {
+    if (!this.__checking_out__) {
+      this.pending.push(op);
+    }
+  };
+
+  // Checks if there are uncommitted operations
+  this.isDirty = function() {
+    return this.pending.length > 0;
+  };
+
+  // Creates a new version from all uncommitted operations
+  // --------
+  //
+  // The current branch is moved to the new version. Returns the version id.
+
+  this.commit = function(message) {
+    if (!this.isDirty()) {
+      throw new GraphError("Nothing to commit.");
+    }
+
+    var version = {
+      id: util.uuid("v_"),
+      parent: this.head,
+      ops: this.pending,
+      message: message,
+      date: new Date()
+    };
+
+    this.versions[version.id] = version;
+    this.head = version.id;
+    if (this.branch) {
+      this.branches[this.branch] = version.id;
+    }
+    this.pending = [];
+
+    return version.id;
+  };
+
+  // Changes the graph to the state of a given version
+  // --------
+  //
+  // If a branch name is given, the branch becomes the current branch.
+  // Otherwise, new commits will not move any branch.
+  // Uncommitted operations must be committed first.
+  // The graph's undo history is cleared.
+
+  this.checkout = function(ref) {
+    var id = this.resolve(ref);
+    if (this.isDirty()) {
+      throw new GraphError("Can not checkout with uncommitted changes.");
+    }
+    if (this.graph.__transaction__) {
+      throw new GraphError("Can not checkout during a transaction.");
+    }
+
+    var ops = this.diff(this.head, id);
+
+    this.__checking_out__ = true;
+    try {
+      _.each(ops, function(op) {
+        this.graph._applyOp(op);
+      }, this);
+    } finally {
+      delete this.__checking_out__;
+    }
+
+    this.graph.history.reset();
+    this.head = id;
+    this.branch = _.has(this.branches, ref) ? ref : null;
+  };
+
+  // Restores the state of a given version
+  // --------
+  //
+  // In contrast to `checkout` the changes are applied as regular operations,
+  // which can be undone and committed as a new version.
+
+  this.restore = function(ref) {
+    var ops = this.diff(this.head, this.resolve(ref));
+    // the current state contains uncommitted changes
+    ops = _.map(this.pending.slice(0).reverse(), Operation.invert).concat(ops);
+
+    var graph = this.graph;
+    graph.transaction(function() {
+      _.each(ops, function(op) {
+        graph._apply(op);
+      });
+    });
+  };
+
+  // Computes the operations which turn one version into another
+  // --------
+  //
+  // The operations of the first version's history are reverted up to the
+  // common ancestor and then the operations of the second version's history
+  // are applied.
+
+  this.diff = function(from, to) {
+    from = this.resolve(from);
+    to = this.resolve(to);
+
+    var fromPath = this.path(from);
+    var toPath = this.path(to);
+
+    // remove the common ancestry
+    while (fromPath.length > 0 && toPath.length > 0 && fromPath[0] === toPath[0]) {
+      fromPath.shift();
+      toPath.shift();
+    }
+
+    var ops = [];
+    _.each(fromPath.reverse(), function(id) {
+      var versionOps = this.versions[id].ops;
+      for (var idx = versionOps.length - 1; idx >= 0; idx--) {
+        ops.push(Operation.invert(versionOps[idx]));
+      }
+    }, this);
+    _.each(toPath, function(id) {
+      ops = ops.concat(this.versions[id].ops);
+    }, this);
+
+    return ops;
+  };
+
+  // Returns the ids of all versions from the root to a given version
+  // (excluding the root)
+  this.path = function(id) {
+    var path = [];
+    while (id !== Chronicle.ROOT) {
+      path.unshift(id);
+      id = this.versions[id].parent;
+    }
+    return path;
+  };
+
+  // Lists the versions from a given version (default: current version) back to the root
+  this.log = function(ref) {
+    var ids = this.path(this.resolve(ref || this.head)).reverse();
+    return _.map(ids, function(id) {
+      return _.omit(this.versions[id], "ops");
+    }, this);
+  };
+
+  // Creates a branch at a given version (default: current version)
+  this.createBranch = function(name, ref) {
+    if (_.has(this.branches, name)) {
+      throw new GraphError("Branch " + name + " already exists.");
+    }
+    this.branches[name] = this.resolve(ref || this.head);
+  };
+
+  this.removeBranch = function(name) {
+    if (name === this.branch) {
+      throw new GraphError("Can not remove the current branch.");
+    }
+    delete this.branches[name];
+  };
+
+  // Tags a given version (default: current version)
+  this.tag = function(name, ref) {
+    if (_.has(this.tags, name)) {
+      throw new GraphError("Tag " + name + " already exists.");
+    }
+    this.tags[name] = this.resolve(ref || this.head);
+  };
+
+  this.removeTag = function(name) {
+    delete this.tags[name];
+  };
+
+  // Resolves a version id, branch name or tag name to a version id
+  this.resolve = function(ref) {
+    if (_.has(this.versions, ref)) return ref;
+    if (_.has(this.branches, ref)) return this.branches[ref];
+    if (_.has(this.tags, ref)) return this.tags[ref];
+    throw new GraphError("Unknown version: " + ref);
+  };
+
+  // Marks the current state as the graph's initial state
+  // --------
+  //
+  // Called by `Graph.load`: the loaded state is the state last written to the
+  // store, i.e., the current version with the uncommitted operations.
+
+  this.markInitial = function() {
+    this.initial = {
+      head: this.head,
+      pending: this.pending.slice(0)
+    };
+  };
+
+  // Returns to the version of the graph's initial state after `Graph.reset`.
+  // New commits will not move any branch unless the current branch still
+  // points to that version.
+  this.rewind = function() {
+    this.head = this.initial.head;
+    this.pending = this.initial.pending.slice(0);
+    if (this.branch && this.branches[this.branch] !== this.head) {
+      this.branch = null;
+    }
+  };
+
+  // Discards all versions, branches and tags
+  this.reset = function() {
+    this.versions = {};
+    this.versions[Chronicle.ROOT] = { id: Chronicle.ROOT, parent: null, ops: [] };
+    this.branches = { master: Chronicle.ROOT };
+    this.tags = {};
+    this.head = Chronicle.ROOT;
+    this.branch = "master";
+    this.pending = [];
+    this.markInitial();
+  };
+};
+
+Chronicle.prototype = new Chronicle.Prototype();
+
+module.exports = Chronicle;
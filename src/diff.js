@@ -0,0 +1,155 @@
+"use strict";
+
+var _ = require("underscore");
+var Schema = require("./schema");
+var ReferenceIndex = require("./reference_index");
+var GraphError = require("./errors").GraphError;
+
+// Data.diff
+// ========
+//
+// Computes the operations which turn one graph state into another:
+//
+//     var ops = Data.Graph.diff(before, after);
+//     => [{type: "set", path: ["apple", "val", "size"], val: "small", original: "big"}, ...]
+//     graph.patch(ops);
+//
+// States are given as graphs or as snapshots (`graph.toJSON()`).
+// Snapshots require a schema as third argument.
+//
+// Nodes which exist in only one state are created or deleted; nodes which
+// changed their type are replaced. The operations can be applied in order:
+// replaced nodes are deleted first, then nodes are created (referenced nodes
+// before referencing ones), then properties are set and finally nodes are
+// deleted. New nodes which reference each other are created without the
+// references closing the cycle, which are set after all nodes are created. Changed values of `object` properties are
+// compared key by key, values of `array` properties of equal length element
+// by element, so that only the changed parts are set. The same holds for
+// entries of `map` properties.
+
+var _nodes = function(state) {
+  if (_.isFunction(state.toJSON)) state = state.toJSON();
+  return state.nodes || {};
+};
+
+var _isPlainObject = function(value) {
+  return _.isObject(value) && !_.isArray(value) && !_.isDate(value) && !_.isFunction(value);
+};
+
+// Snapshots carry only the id and version of their schema
+var _schema = function(a, b, schema) {
+  if (schema instanceof Schema) return schema;
+  if (schema && schema.types) return new Schema(schema);
+  if (a.schema instanceof Schema) return a.schema;
+  if (b.schema instanceof Schema) return b.schema;
+  throw new GraphError("Can not diff snapshots without a schema: please provide one as third argument");
+};
+
+var diff = function(a, b, schema) {
+  schema = _schema(a, b, schema);
+
+  var nodesA = _nodes(a);
+  var nodesB = _nodes(b);
+  var replaced = [];
+  var created = [];
+  var changed = [];
+  var deleted = [];
+
+  _.each(nodesA, function(node, id) {
+    var other = nodesB[id];
+    if (!other) {
+      deleted.push({ type: "delete", path: [id], val: node });
+    } else if (other.type !== node.type) {
+      replaced.push({ type: "delete", path: [id], val: node });
+    }
+  });
+
+  var isNew = function(id) {
+    return _.has(nodesB, id) && (!nodesA[id] || nodesA[id].type !== nodesB[id].type);
+  };
+
+  // "pending" while the referenced nodes of a node are created
+  var visited = {};
+  var cyclic = [];
+  var create = function(id) {
+    if (visited[id]) return;
+    visited[id] = "pending";
+    var node = nodesB[id];
+    var val = node;
+    // referenced nodes are created first
+    _.each(references(schema, node), function(targets, property) {
+      var closesCycle = false;
+      _.each(targets, function(target) {
+        if (!isNew(target)) return;
+        if (visited[target] === "pending") closesCycle = true;
+        else create(target);
+      });
+      if (closesCycle) {
+        if (val === node) val = _.clone(node);
+        delete val[property];
+        cyclic.push({ type: "set", path: [id, property], val: node[property] });
+      }
+    });
+    visited[id] = "created";
+    created.push({ type: "create", path: [id], val: val });
+  };
+
+  _.each(nodesB, function(node, id) {
+    var other = nodesA[id];
+    if (!other || other.type !== node.type) {
+      create(id);
+    } else {
+      diffNode(schema, other, node, changed);
+    }
+  });
+
+  return replaced.concat(created, cyclic, changed, deleted);
+};
+
+// Returns the ids of all nodes referenced by a node per property
+var references = function(schema, node) {
+  var result = {};
+  if (!schema.isNodeType(node.type)) return result;
+  _.each(schema.properties(node.type), function(type, property) {
+    if (schema.referenceType(type) && node[property] !== undefined) {
+      result[property] = ReferenceIndex.targets(node[property]);
+    }
+  });
+  return result;
+};
+
+var diffNode = function(schema, a, b, ops) {
+  var properties = schema.isNodeType(a.type) ? schema.properties(a.type) : {};
+  _.each(_.union(_.keys(a), _.keys(b)), function(key) {
+    if (key === "id" || key === "type") return;
+    diffValue([a.id, key], properties[key], a[key], b[key], ops);
+  });
+};
+
+// Recurses into objects, maps and arrays of equal length.
+// Values without a declared type (e.g., within objects) are compared structurally.
+// Sets are replaced as a whole.
+var diffValue = function(path, type, a, b, ops) {
+  if (_.isEqual(a, b)) return;
+
+  var baseType = _.isArray(type) ? type[0] : type;
+  var idx;
+
+  if ((baseType === "object" || baseType === "map" || baseType === undefined) && _isPlainObject(a) && _isPlainObject(b)) {
+    var valueType = (baseType === "map" && type.length > 1) ? type.slice(1) : undefined;
+    _.each(_.union(_.keys(a), _.keys(b)), function(key) {
+      diffValue(path.concat([key]), valueType, a[key], b[key], ops);
+    });
+  }
+  else if ((baseType === "array" || baseType === undefined) && _.isArray(a) && _.isArray(b) && a.length === b.length) {
+    var elementType = (_.isArray(type) && type.length > 1) ? type.slice(1) : undefined;
+    for (idx = 0; idx < a.length; idx++) {
+      diffValue(path.concat([idx]), elementType, a[idx], b[idx], ops);
+    }
+  }
+  else {
+    ops.push({ type: "set", path: path, val: b, original: a });
+  }
+};
+
+module.exports = diff;
@@ -0,0 +1,10 @@
+"use strict";
+
+var util = require('substance-util');
+var errors = util.errors;
+
+// Error classes shared by all modules of Substance.Data
+
+module.exports = {
+  GraphError: errors.define("GraphError")
+};
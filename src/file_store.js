@@ -0,0 +1,181 @@
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var _ = require("underscore");
+var Store = require("./store");
+
+// Data.FileStore
+// ========
+//
+// A store for Node.js which persists a graph in a directory:
+//
+// - `snapshot.json`: the latest snapshot
+// - `journal.jsonl`: an append-only journal with one operation per line
+//
+//     {"seq":42,"op":{"type":"set","path":["apple","color"],"val":"green"}}
+//
+// Snapshots are written to a temporary file first and then renamed, so that
+// a crash never leaves a half-written snapshot behind. Every snapshot records
+// the sequence number of the last operation it contains (`journalSeq`), and
+// older journal entries are skipped on load. Thus, a crash after writing a
+// snapshot but before clearing the journal does not apply operations twice.
+// All file accesses are serialized in the order they have been requested.
+
+var FileStore = function(dir) {
+  this.dir = dir;
+  this.snapshotFile = path.join(dir, "snapshot.json");
+  this.journalFile = path.join(dir, "journal.jsonl");
+
+  this.__queue__ = [];
+  this.__running__ = false;
+};
+
+FileStore.Prototype = function() {
+
+  var _noop = function() {};
+
+  // Reads a file; a missing file is provided as null
+  var _read = function(file, cb) {
+    fs.readFile(file, "utf8", function(err, data) {
+      if (err && err.code === "ENOENT") return cb(null, null);
+      cb(err, data);
+    });
+  };
+
+  var _mkdir = function(dir, cb) {
+    fs.mkdir(dir, function(err) {
+      if (err && err.code !== "EEXIST") return cb(err);
+      cb(null);
+    });
+  };
+
+  // Runs a task after all previously scheduled tasks have finished
+  this._schedule = function(task, cb) {
+    this.__queue__.push({ task: task, cb: cb || _noop });
+    this._next();
+  };
+
+  this._next = function() {
+    if (this.__running__ || this.__queue__.length === 0) return;
+    this.__running__ = true;
+    var entry = this.__queue__.shift();
+    var self = this;
+    entry.task.call(this, function() {
+      self.__running__ = false;
+      entry.cb.apply(null, arguments);
+      self._next();
+    });
+  };
+
+  this.load = function(cb) {
+    this._schedule(this._load, cb);
+  };
+
+  this.save = function(snapshot, cb) {
+    this._schedule(function(done) {
+      this._save(snapshot, done);
+    }, cb);
+  };
+
+  this.appendOps = function(ops, cb) {
+    // Serialize immediately as operations may refer to data which changes later
+    var data = _.map(ops, function(op) {
+      return JSON.stringify(op);
+    });
+    this._schedule(function(done) {
+      var self = this;
+      this._sequence(function(err) {
+        if (err) return done(err);
+        var lines = _.map(data, function(op) {
+          return '{"seq":' + (++self.__seq__) + ',"op":' + op + '}\n';
+        }).join("");
+        _mkdir(self.dir, function(err) {
+          if (err) return done(err);
+          fs.appendFile(self.journalFile, lines, "utf8", done);
+        });
+      });
+    }, cb);
+  };
+
+  // Folds the journal into the snapshot
+  // --------
+  //
+  // Runs as a single task so that no operations appended in between get lost.
+
+  this.compact = function(cb) {
+    this._schedule(function(done) {
+      var self = this;
+      this._load(function(err, data) {
+        if (err) return done(err);
+        if (!data.snapshot || data.ops.length === 0) return done(null);
+        self._save(Store.replay(data.snapshot, data.ops), done);
+      });
+    }, cb);
+  };
+
+  this._load = function(done) {
+    var self = this;
+    _read(self.snapshotFile, function(err, snapshot) {
+      if (err) return done(err);
+      _read(self.journalFile, function(err, journal) {
+        if (err) return done(err);
+        var entries;
+        try {
+          snapshot = snapshot ? JSON.parse(snapshot) : null;
+          entries = _.map(_.compact((journal || "").split("\n")), function(line) {
+            return JSON.parse(line);
+          });
+        } catch (parseErr) {
+          return done(parseErr);
+        }
+
+        // Entries contained in the snapshot are left over from an interrupted save
+        var seq = snapshot ? snapshot.journalSeq || 0 : 0;
+        var ops = _.pluck(_.filter(entries, function(entry) {
+          return entry.seq > seq;
+        }), "op");
+        self.__seq__ = Math.max(seq, entries.length > 0 ? _.last(entries).seq : 0);
+
+        done(null, {
+          snapshot: snapshot ? _.omit(snapshot, "journalSeq") : null,
+          ops: ops
+        });
+      });
+    });
+  };
+
+  // The snapshot contains all journaled operations
+  this._save = function(snapshot, done) {
+    var self = this;
+    var tmpFile = self.snapshotFile + ".tmp";
+    this._sequence(function(err) {
+      if (err) return done(err);
+      var data = JSON.stringify(_.extend({}, snapshot, { journalSeq: self.__seq__ }));
+      _mkdir(self.dir, function(err) {
+        if (err) return done(err);
+        fs.writeFile(tmpFile, data, "utf8", function(err) {
+          if (err) return done(err);
+          fs.rename(tmpFile, self.snapshotFile, function(err) {
+            if (err) return done(err);
+            fs.writeFile(self.journalFile, "", "utf8", done);
+          });
+        });
+      });
+    });
+  };
+
+  // Determines the sequence number of the last journaled operation, which
+  // is read from the files on first access
+  this._sequence = function(done) {
+    if (this.__seq__ !== undefined) return done(null);
+    this._load(function(err) {
+      done(err);
+    });
+  };
+};
+
+FileStore.Prototype.prototype = Store.prototype;
+FileStore.prototype = new FileStore.Prototype();
+
+module.exports = FileStore;
@@ -2,13 +2,30 @@
 
 var _ = require('underscore');
 var util = require('substance-util');
-var errors = util.errors;
 
 var Schema = require('./schema');
 var Property = require('./property');
 var Index = require('./graph_index');
+var SortedIndex = require('./sorted_index');
+var UniqueIndex = require('./unique_index');
+var Validator = require('./validator');
+var Checker = require('./checker');
+var History = require('./history');
+var Operation = require('./operation');
+var Query = require('./query');
+var ReferenceIndex = require('./reference_index');
+var Store = require('./store');
+var MemoryStore = require('./memory_store');
+var Chronicle = require('./chronicle');
+var merge = require('./merge');
+var diff = require('./diff');
+var Traversal = require('./traversal');
+var NDJSON = require('./ndjson');
+var LinkedData = require('./linked_data');
+var GraphError = require('./errors').GraphError;
 
-var GraphError = errors.define("GraphError");
+// Creates a GraphError which lists all given validation issues
+var validationError = Validator.error;
 
 // Data types registry
 // -------------------
@@ -17,8 +34,12 @@ var GraphError = errors.define("GraphError");
 var VALUE_TYPES = [
   'object',
   'array',
+  'map',
+  'set',
   'string',
   'number',
+  'integer',
+  'float',
   'boolean',
   'date'
 ];
@@ -34,42 +55,126 @@ var isValueType = function (type) {
   return VALUE_TYPES.indexOf(type) >= 0;
 };
 
+// Deep-freezes a value. Frozen values can be shared between snapshots and
+// graphs, as graphs copy them before changing them (see `Graph.snapshot`).
+var freeze = function(value) {
+  if (_.isObject(value) && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    _.each(value, freeze);
+  }
+  return value;
+};
+
+// Deep-copies a value, keeping dates. Values applied to nodes are copied, so
+// that recorded operations never share objects with the graph.
+var copy = function(value) {
+  if (_.isDate(value)) return new Date(value.getTime());
+  if (_.isArray(value)) return _.map(value, copy);
+  if (_.isObject(value) && !Object.isFrozen(value)) {
+    return _.object(_.keys(value), _.map(value, copy));
+  }
+  return value;
+};
+
+// Node ids and types can be read via paths but not changed
+var isReadOnly = function(prop) {
+  return prop.path.length === 2 && (prop.key === "id" || prop.key === "type");
+};
+
+// Prefixes of the per node and per type change events (see `onNode`), which
+// must not collide with the events of the graph, e.g., `node:created`
+var NODE_CHANGES = "change:node:";
+var TYPE_CHANGES = "change:type:";
+
+var DELETE_POLICIES = ["restrict", "cascade", "nullify"];
+
+var INDEX_KINDS = {
+  "default": Index,
+  "sorted": SortedIndex,
+  "unique": UniqueIndex
+};
+
+// Checks if a seed conforms to a given schema.
+// Seeds created with an older version of the schema are migrated
+// (see `Schema.addMigration`).
+var prepareSeed = function(schema, seed) {
+  if (!schema.id || !seed.schema || _.isEqual(seed.schema, [schema.id, schema.version])) {
+    return seed;
+  }
+
+  if (seed.schema[0] === schema.id && Schema.compareVersions(seed.schema[1], schema.version) < 0) {
+    try {
+      return schema.migrate(seed);
+    } catch (err) {
+      throw new GraphError("Could not migrate graph: " + err.message);
+    }
+  }
+
+  throw new GraphError([
+    "Graph does not conform to schema. Expected: ",
+    schema.id+"@"+schema.version,
+    " Actual: ",
+    seed.schema[0]+"@"+seed.schema[1]
+  ].join(''));
+};
+
 // Graph
 // =====
 
 // A `Graph` can be used for representing arbitrary complex object
 // graphs. Relations between objects are expressed through links that
-// point to referred objects. Graphs can be traversed in various ways.
+// point to referred objects. Graphs can be traversed in various ways
+// (see `traverse`, `shortestPath` and `subgraph`).
 // See the testsuite for usage.
 //
 // Need to be documented:
 // @options (mode,seed,chronicle,store,load,graph)
+//
+// - deletePolicy: the default policy for references to deleted nodes (see `delete`)
+// - store: a storage adapter (see `Data.Store`), e.g., a `Data.FileStore`; all
+//   applied operations are journaled
+// - load: load the graph from the store on construction; either `true` or a
+//   callback `function(err, graph)`
 var Graph = function(schema, options) {
   options = options || {};
 
   // Initialization
-  this.schema = new Schema(schema);
+  // Schema instances are shared, e.g., with subgraphs
+  this.schema = (schema instanceof Schema) ? schema : new Schema(schema);
 
   // Check if provided seed conforms to the given schema
   // Only when schema has an id and seed is provided
-
-  if (this.schema.id && options.seed && options.seed.schema) {
-    if (!_.isEqual(options.seed.schema, [this.schema.id, this.schema.version])) {
-      throw new GraphError([
-        "Graph does not conform to schema. Expected: ",
-        this.schema.id+"@"+this.schema.version,
-        " Actual: ",
-        options.seed.schema[0]+"@"+options.seed.schema[1]
-      ].join(''));
-    }
+  // Seeds of older schema versions are migrated before `init()`
+  var seed = options.seed;
+  if (seed) {
+    seed = prepareSeed(this.schema, seed);
   }
 
   this.nodes = {};
   this.indexes = {};
 
-  this.__seed__ = options.seed;
+  this.validator = new Validator(this);
+  this.history = new History();
+  this.references = new ReferenceIndex(this);
+
+  if (options.deletePolicy && DELETE_POLICIES.indexOf(options.deletePolicy) < 0) {
+    throw new GraphError("Unknown delete policy: " + options.deletePolicy);
+  }
+  this.deletePolicy = options.deletePolicy;
+
+  this.__seed__ = seed;
 
   this.init();
+
+  this.chronicle = new Chronicle(this);
+
+  this.store = options.store;
+  if (this.store) {
+    this.on("graph:op", this._journal, this);
+    if (options.load) {
+      this.load(_.isFunction(options.load) ? options.load : undefined);
+    }
+  }
 };
 
 Graph.Prototype = function() {
@@ -90,13 +195,24 @@ Graph.Prototype = function() {
   //     };
   // Create new node:
   //     Data.Graph.create(node);
-  // Note: graph create operation should reject creation of duplicate nodes.
+  // The node is validated against the schema. Unknown types, duplicate ids,
+  // missing required properties, illegal values and references to
+  // non-existing nodes are rejected with a GraphError that lists all issues
+  // (`err.issues`).
 
   _.extend(this, util.Events);
 
   this.create = function(node) {
-    this.nodes[node.id] = node;
-    this._updateIndexes({
+    var issues = [];
+    if (node && this.contains(node.id)) {
+      issues.push({ path: [node.id], message: "Node already exists." });
+    }
+    node = this.validator.parseNode(node, issues);
+    if (issues.length > 0) {
+      throw validationError("Could not create node.", issues);
+    }
+
+    this._apply({
       type: 'create',
       path: [node.id],
       val: node
@@ -105,16 +221,118 @@ Graph.Prototype = function() {
 
   // Remove a node
   // -------------
-  // Removes a node with given id and key (optional):
-  //     Data.Graph.delete(this.graph.get('apple'));
-  this.delete = function(id) {
+  // Removes a node with given id:
+  //     Data.Graph.delete('apple');
+  // An optional policy determines what happens to references to the node:
+  // - "restrict": the node is not deleted if other nodes reference it
+  // - "cascade": referencing nodes are deleted as well
+  // - "nullify": references are set to null or removed from arrays
+  // Without a policy references are left dangling. A default policy can be
+  // given via `options.deletePolicy`.
+  this.delete = function(id, policy) {
     var oldVal = this.nodes[id];
-    delete this.nodes[id];
-    this._updateIndexes({
+    if (!oldVal) {
+      throw new GraphError("Could not delete node: " + id + " does not exist.");
+    }
+    policy = policy || this.deletePolicy;
+    if (policy && DELETE_POLICIES.indexOf(policy) < 0) {
+      throw new GraphError("Unknown delete policy: " + policy);
+    }
+
+    var op = {
       type: 'delete',
       path: [id],
       val: oldVal
-    });
+    };
+
+    var referrers = _.without(this.references.referrers(id), id);
+    if (!policy || referrers.length === 0) {
+      this._apply(op);
+      return;
+    }
+    if (policy === "restrict") {
+      throw new GraphError("Could not delete node " + id + ": it is referenced by " + referrers.join(", "));
+    }
+
+    this.transaction(function() {
+      if (policy === "nullify") {
+        _.each(referrers, function(source) {
+          _.each(this.references.properties(source, id), function(property) {
+            this.set([source, property], ReferenceIndex.without(this.nodes[source][property], id));
+          }, this);
+        }, this);
+      }
+      this._apply(op);
+      if (policy === "cascade") {
+        _.each(referrers, function(source) {
+          if (this.contains(source)) this.delete(source, policy);
+        }, this);
+      }
+    }, this);
+  };
+
+  // Apply an operation
+  // ------------------
+  //
+  // Applies a graph operation, e.g., one received from another client after
+  // transforming it with `Operation.transform`:
+  //     graph.apply({type: "set", path: ["apple", "color"], val: "green"});
+  // Operations are validated like the according calls of `create` and `set`.
+  // The node of a delete operation and the original value of a set operation
+  // are taken from the current state. Delete operations are applied without a
+  // delete policy, as concurrent changes to referencing nodes arrive as
+  // operations of their own. A list of operations is applied as a transaction.
+
+  this.apply = function(op) {
+    if (_.isArray(op)) {
+      this.transaction(function() {
+        _.each(op, function(child) {
+          this.apply(child);
+        }, this);
+      }, this);
+      return;
+    }
+
+    if (op.type === "create") {
+      this.create(op.val);
+    } else if (op.type === "delete") {
+      var id = op.path[0];
+      if (!this.contains(id)) {
+        throw new GraphError("Could not delete node: " + id + " does not exist.");
+      }
+      this._apply({ type: "delete", path: [id], val: this.nodes[id] });
+    } else if (op.type === "set") {
+      this.set(op.path, op.val);
+    } else if (op.type === "update") {
+      this.update(op.path, op.diff);
+    } else if (op.type !== Operation.NOOP) {
+      throw new GraphError("Unsupported operation type: " + op.type);
+    }
+  };
+
+  // Patch the graph
+  // ---------------
+  //
+  // Applies a list of operations, e.g., computed by `Graph.diff`, as one transaction:
+  //     graph.patch(Data.Graph.diff(graph, other));
+
+  this.patch = function(ops) {
+    this.apply(ops);
+  };
+
+  // Find referencing nodes
+  // ----------------------
+  //
+  // Returns all nodes which reference a given node, optionally only via a
+  // given property:
+  //     graph.referrers("apple-tree");
+  //     => [{id: "apple", type: "fruit", tree: "apple-tree", ...}]
+  //     graph.referrers("apple-tree", "tree");
+
+  this.referrers = function(id, property) {
+    return _.map(this.references.referrers(id, property), function(source) {
+      return this.nodes[source];
+    }, this);
   };
 
   // Set the property
@@ -126,15 +344,36 @@ Graph.Prototype = function() {
   //     var blueberry = this.graph.get("fruit_2");
   //     console.log(blueberry.val.size);
   //     = > 'too small'
+  // The value is validated against the property's type.
+  // Paths may follow references (see `Data.Property`), e.g., `["apple", "tree", "name"]`
+  // sets the name of the apple's tree. The operation is recorded with the
+  // canonical path of the changed node (`["apple-tree", "name"]`).
 
   this.set = function(path, newValue) {
     var prop = this.resolve(path);
-    if (!prop) {
-      throw new GraphError("Could not resolve property with path "+JSON.stringify(path));
+    if (prop.key === undefined) {
+      throw new GraphError("Could not set " + JSON.stringify(path) + ": only properties can be set.");
     }
+    if (isReadOnly(prop)) {
+      throw new GraphError("Could not set " + JSON.stringify(path) + ": id and type can not be changed.");
+    }
+    path = prop.path;
+
+    var issues = [];
+    // Constraints of node properties are checked as well
+    var isProperty = (path.length === 2 && _.has(this.schema.properties(prop.node.type), prop.key));
+    var type = isProperty ? this.schema.propertySpec(prop.node.type, prop.key) : prop.type;
+    newValue = this.validator.parseValue(path, type, newValue, issues);
+    if (isProperty && (newValue === null || newValue === undefined) &&
+        this.schema.requiredProperties(prop.node.type).indexOf(prop.key) >= 0) {
+      issues.push({ path: path, message: "Missing required property." });
+    }
+    if (issues.length > 0) {
+      throw validationError("Could not set property.", issues);
+    }
+
     var oldVal = prop.get();
-    prop.set(newValue);
-    this._updateIndexes({
+    this._apply({
       type: 'set',
       path: path,
       val: newValue,
@@ -142,6 +381,177 @@ Graph.Prototype = function() {
     });
   };
 
+  // Update a property
+  // -----------------
+  //
+  // Changes array, string and object values without replacing them:
+  //     graph.update(["basket", "sizes"], {type: "insert", pos: 1, val: 42});
+  //     graph.update(["basket", "sizes"], {type: "delete", pos: 0});
+  //     graph.update(["basket", "sizes"], {type: "move", pos: 0, target: 2});
+  //     graph.update(["apple", "name"], {type: "insert", pos: 3, text: "le"});
+  //     graph.update(["apple", "name"], {type: "delete", pos: 0, length: 2});
+  //     graph.update(["apple", "val"], {type: "key", key: "size", val: "small"});
+  // Inserted array elements are validated against the array's element type.
+  // As for `set`, paths may follow references.
+
+  this.update = function(path, diff) {
+    var prop = this.resolve(path);
+    if (prop.key === undefined) {
+      throw new GraphError("Could not update " + JSON.stringify(path) + ": only properties can be updated.");
+    }
+    if (isReadOnly(prop)) {
+      throw new GraphError("Could not update " + JSON.stringify(path) + ": id and type can not be changed.");
+    }
+    path = prop.path;
+
+    var issues = [];
+    diff = this.validator.parseDiff(path, prop.type, prop.get(), diff, issues);
+    if (issues.length > 0) {
+      throw validationError("Could not update property.", issues);
+    }
+
+    this._apply({
+      type: 'update',
+      path: path,
+      diff: diff
+    });
+  };
+
+  // Undo the latest change
+  // ----------------------
+  //
+  // Reverts the latest recorded change set, i.e., a single operation or all
+  // operations of a transaction:
+  //     graph.set(["apple", "color"], "green");
+  //     graph.undo();
+  //     graph.get("apple", "color");
+  //     => 'red'
+  // Returns false if there is nothing to undo.
+
+  this.undo = function() {
+    if (this.__transaction__) {
+      throw new GraphError("Can not undo during a transaction.");
+    }
+    var changeSet = this.history.undo();
+    if (!changeSet) return false;
+    for (var idx = changeSet.length - 1; idx >= 0; idx--) {
+      this._applyOp(Operation.invert(changeSet[idx]));
+    }
+    return true;
+  };
+
+  // Redo the latest undone change
+  // -----------------------------
+  //
+  // Returns false if there is nothing to redo.
+
+  this.redo = function() {
+    if (this.__transaction__) {
+      throw new GraphError("Can not redo during a transaction.");
+    }
+    var changeSet = this.history.redo();
+    if (!changeSet) return false;
+    for (var idx = 0; idx < changeSet.length; idx++) {
+      this._applyOp(changeSet[idx]);
+    }
+    return true;
+  };
+
+  // Atomic transactions
+  // -------------------
+  //
+  // All operations applied within the given function are committed together
+  // and are undone as one step:
+  //     graph.transaction(function() {
+  //       graph.create({id: "pear", type: "fruit", name: "Pear"});
+  //       graph.set(["apple", "color"], "green");
+  //     });
+  // If the function throws, all of its operations are rolled back and the
+  // error is rethrown.
+  //
+  // Within a transaction the graph's nodes act as a staging view: reads see
+  // the staged changes, while indexes and `graph:op` listeners are updated
+  // only when the transaction is committed.
+  // Nested transactions are part of the outer one, but a failing nested
+  // transaction rolls back only its own operations.
+
+  this.transaction = function(fn, context) {
+    var outermost = !this.__transaction__;
+    if (outermost) {
+      this.__transaction__ = [];
+    }
+    var staged = this.__transaction__;
+    var mark = staged.length;
+
+    var result;
+    try {
+      result = fn.call(context, this);
+    } catch (err) {
+      this._rollback(mark);
+      if (outermost) {
+        delete this.__transaction__;
+      }
+      throw err;
+    }
+
+    if (outermost) {
+      delete this.__transaction__;
+      this._commit(staged);
+    }
+    return result;
+  };
+
+  // Versioning
+  // ----------
+  //
+  // Commits all changes since the current version as a new version
+  // (see `Data.Chronicle`):
+  //     var version = graph.commit("Made the apple green");
+  // and changes the graph to the state of a version, branch or tag:
+  //     graph.checkout(version);
+  // Branches, tags and diffs between versions are provided by `graph.chronicle`.
+
+  this.commit = function(message) {
+    return this.chronicle.commit(message);
+  };
+
+  this.checkout = function(ref) {
+    this.chronicle.checkout(ref);
+  };
+
+  // Listen to changes
+  // -----------------
+  //
+  // The graph triggers a change event for every applied operation:
+  //
+  // - `node:created` with `{event, node}`
+  // - `node:deleted` with `{event, node}`
+  // - `property:set` with `{event, node, path, value, original}`
+  // - `property:updated` with `{event, node, path, diff}`
+  //
+  // Listeners can subscribe to all changes of a single node:
+  //     graph.onNode("apple", function(change) {
+  //       console.log(change.event, change.path);
+  //     });
+  // or to all changes of nodes of a given type, including sub-types:
+  //     graph.onType("fruit", function(change) { ... });
+
+  this.onNode = function(id, callback, context) {
+    return this.on(NODE_CHANGES + id, callback, context);
+  };
+
+  this.offNode = function(id, callback, context) {
+    return this.off(NODE_CHANGES + id, callback, context);
+  };
+
+  this.onType = function(type, callback, context) {
+    return this.on(TYPE_CHANGES + type, callback, context);
+  };
+
+  this.offType = function(type, callback, context) {
+    return this.off(TYPE_CHANGES + type, callback, context);
+  };
+
   // Get the node [property]
   // -----------------------
   //
@@ -160,6 +570,10 @@ Graph.Prototype = function() {
   //  var apple = this.graph.get(["apple","color"]);
   //  console.log(apple);
   //  => 'red'
+  // or a property of a referenced node:
+  //  this.graph.get(["apple", "tree", "name"]);
+  //  => 'Apple tree'
+  // Paths which can not be resolved raise a GraphError.
 
   this.get = function(path) {
     if (!_.isArray(path) && !_.isString(path)) {
@@ -196,9 +610,9 @@ Graph.Prototype = function() {
     var baseType = prop.baseType;
     var val = prop.get();
 
-    // resolve referenced nodes in array types
-    if (baseType === "array") {
-      return this._queryArray.call(this, val, type);
+    // resolve referenced nodes in composite types
+    if (Schema.COMPOSITE_TYPES.indexOf(baseType) >= 0) {
+      return this._queryComposite(val, type);
     } else if (!isValueType(baseType)) {
       return this.get(val);
     } else {
@@ -206,10 +620,109 @@ Graph.Prototype = function() {
     }
   };
 
+  // Traverse the graph
+  // ------------------
+  //
+  // Visits all nodes reachable from a given node via references
+  // (see `Data.Traversal` for the options):
+  //     graph.traverse("chapter_1", {
+  //       direction: "outgoing",
+  //       types: ["section", "paragraph"],
+  //       maxDepth: 2,
+  //       visit: function(node, depth) { ... }
+  //     });
+  //     => [{id: "chapter_1", ...}, {id: "section_1", ...}, ...]
+
+  this.traverse = function(startId, options) {
+    return Traversal.traverse(this, startId, options);
+  };
+
+  // Find a shortest path
+  // --------------------
+  //
+  // Returns the nodes on a shortest path between two nodes or null:
+  //     graph.shortestPath("apple", "pear", {direction: "both"});
+  //     => [{id: "apple", ...}, {id: "apple-tree", ...}, {id: "pear", ...}]
+
+  this.shortestPath = function(fromId, toId, options) {
+    return Traversal.shortestPath(this, fromId, toId, options);
+  };
+
+  // Extract a subgraph
+  // ------------------
+  //
+  // Returns a new graph with the same schema holding the given nodes and all
+  // nodes they reference, directly or up to a given depth:
+  //     var chapter = graph.subgraph(["chapter_1"]);
+  // Nodes are shared with the new graph (see `snapshot`). References to nodes
+  // beyond the given depth are left dangling.
+
+  this.subgraph = function(rootIds, depth) {
+    var snapshot = this.snapshot();
+    var nodes = {};
+    _.each(_.flatten([rootIds]), function(id) {
+      _.each(this.traverse(id, { maxDepth: depth }), function(node) {
+        nodes[node.id] = snapshot.nodes[node.id];
+      });
+    }, this);
+
+    return new Graph(this.schema, {
+      seed: { schema: snapshot.schema, nodes: nodes }
+    });
+  };
+
+  // Find nodes
+  // ----------
+  //
+  // Finds all nodes matching a declarative query (see `Data.Query`):
+  //     graph.find({
+  //       type: "fruit",
+  //       where: { color: "red", "tree.name": "Apple tree" },
+  //       sort: "-weight",
+  //       limit: 10
+  //     });
+  //     => [{id: "apple", type: "fruit", ...}]
+  // Given a list of queries the union of their results is returned.
+
+  this.find = function(spec) {
+    if (_.isArray(spec)) {
+      return _.uniq(_.flatten(_.map(spec, this.find, this), true));
+    }
+    return new Query(this, spec).execute();
+  };
+
+  // Take a snapshot
+  // ---------------
+  //
+  // Returns an immutable view of the current state in the format of `toJSON`:
+  //     var snapshot = graph.snapshot();
+  //     var copy = new Data.Graph(schema, {seed: snapshot});
+  // Nodes are frozen and shared with the graph instead of being copied.
+  // When a shared node changes the graph replaces it by a copy, so the
+  // snapshot is not affected. Note that references to nodes obtained before
+  // taking a snapshot may therefore become outdated by later changes.
+  // Repeated snapshots without changes in between are identical.
+
+  this.snapshot = function() {
+    if (!this.__snapshot__) {
+      var nodes = {};
+      _.each(this.nodes, function(node, id) {
+        nodes[id] = freeze(node);
+      });
+      this.__snapshot__ = Object.freeze({
+        id: this.id,
+        schema: Object.freeze([this.schema.id, this.schema.version]),
+        nodes: Object.freeze(nodes)
+      });
+    }
+    return this.__snapshot__;
+  };
+
   // Serialize current state
   // -----------------------
   //
-  // Convert current graph state to JSON object
+  // Convert current graph state to JSON object.
+  // In contrast to `snapshot` the result is a mutable deep copy.
 
   this.toJSON = function() {
     return {
@@ -219,6 +732,35 @@ Graph.Prototype = function() {
     };
   };
 
+  // Linked data export
+  // ------------------
+  //
+  // Converts the graph to JSON-LD or N-Triples (see `Data.LinkedData`):
+  //     graph.toJSONLD({base: "http://example.com/fruits/"});
+  //     => {"@context": {...}, "@graph": [{"@id": "http://example.com/fruits/apple", "@type": "fruit", ...}]}
+  //     graph.toNTriples({base: "http://example.com/fruits/"});
+  //     => '<http://example.com/fruits/apple> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <urn:fruits#fruit> .\n...'
+
+  this.toJSONLD = function(options) {
+    return LinkedData.toJSONLD(this, options);
+  };
+
+  this.toNTriples = function(options) {
+    return LinkedData.toNTriples(this, options);
+  };
+
+  // Streaming export
+  // ----------------
+  //
+  // Writes the graph as newline-delimited JSON to a writable stream
+  // (see `Data.NDJSON.write`):
+  //     graph.exportNDJSON(fs.createWriteStream("fruits.ndjson"), function(err) { ... });
+  // Use `Data.Graph.importNDJSON` for reading it again.
+
+  this.exportNDJSON = function(stream, options, cb) {
+    NDJSON.write(this, stream, options, cb);
+  };
+
   // Check node existing
   // -------------------
   //
@@ -234,19 +776,114 @@ Graph.Prototype = function() {
 
   // Resolve a property
   // ------------------
-  // Resolves a property with a given path
+  // Resolves a property with a given path (see `Data.Property`)
 
   this.resolve = function(path) {
     return new Property(this, path);
   };
 
+  // Check integrity
+  // ---------------
+  //
+  // Nodes given via `seed` are not validated. `check` scans all nodes and
+  // indexes and returns the issues found (see `Data.Checker`):
+  //     graph.check();
+  //     => [{kind: "reference", path: ["apple", "tree"], target: "pear-tree", message: "..."}]
+
+  this.check = function() {
+    return new Checker(this).check();
+  };
+
+  // Repair a graph
+  // --------------
+  //
+  // Fixes the issues reported by `check` according to a policy and returns a
+  // report of repaired and remaining issues (see `Data.Checker.repair`):
+  //     graph.repair({reference: "cascade"});
+  //     => {repaired: [...], remaining: [...]}
+
+  this.repair = function(policy) {
+    return new Checker(this).repair(policy);
+  };
+
+  // Persistence
+  // -----------
+  //
+  // With a store given via `options.store` every applied operation is
+  // appended to the store's journal. Journal errors are reported via
+  // `store:error` events.
+  //
+  // `save` writes a snapshot of the current state and clears the journal:
+  //     graph.save(function(err) { ... });
+  // `load` restores the state from the latest snapshot and the journal:
+  //     graph.load(function(err, graph) { ... });
+  // The loaded state becomes the graph's initial state (see `reset`). As every
+  // operation is journaled, it is the current version of `graph.chronicle`.
+
+  this.save = function(cb) {
+    this._requireStore();
+    this.store.save(this.snapshot(), this._storeCallback(cb));
+  };
+
+  this.load = function(cb) {
+    this._requireStore();
+    cb = this._storeCallback(cb);
+
+    var self = this;
+    this.store.load(function(err, data) {
+      if (err) return cb(err);
+      if (!data.snapshot && data.ops.length === 0) return cb(null, self);
+
+      // A journal without a snapshot continues the graph's seed
+      var snapshot = data.snapshot || self.__seed__ || { nodes: {} };
+      var seed;
+      try {
+        // The journal refers to the snapshot's schema version
+        seed = prepareSeed(self.schema, Store.replay(snapshot, data.ops));
+      } catch (seedErr) {
+        return cb(seedErr);
+      }
+      self.__seed__ = seed;
+      self.chronicle.markInitial();
+      // the loaded state is already stored
+      self._reset();
+      cb(null, self);
+    });
+  };
+
+  this._requireStore = function() {
+    if (!this.store) {
+      throw new GraphError("No store given.");
+    }
+  };
+
+  // Without callback errors are reported as `store:error` events
+  this._storeCallback = function(cb) {
+    var self = this;
+    return cb || function(err) {
+      if (err) self.trigger("store:error", err);
+    };
+  };
+
+  this._journal = function(op) {
+    this.store.appendOps([op], this._storeCallback());
+  };
+
   // Reset to initial state
   // ----------------------
   // Resets the graph to its initial state.
   // Note: This clears all nodes and calls `init()` which may seed the graph.
+  // With a store the initial state is saved, as the journal does not
+  // record the reset.
 
   this.reset = function() {
+    this._reset();
+    if (this.store) this.save();
+  };
+
+  this._reset = function() {
     this.init();
+    this.history.reset();
     this.trigger("graph:reset");
   };
 
@@ -254,24 +891,42 @@ Graph.Prototype = function() {
   this.init = function() {
     this.__is_initializing__ = true;
 
+    // Nodes of snapshots are immutable and can be shared, others are copied
+    // (keeping dates)
+    this.nodes = {};
     if (this.__seed__) {
-      this.nodes = util.clone(this.__seed__.nodes);
-    } else {
-      this.nodes = {};
+      _.each(this.__seed__.nodes, function(node, id) {
+        this.nodes[id] = copy(node);
+      }, this);
     }
+    delete this.__snapshot__;
 
+    this.references.rebuild();
     _.each(this.indexes, function(index) {
-      index.reset();
+      index.rebuild();
     });
 
     delete this.__is_initializing__;
   };
 
+  // Add an index
+  // ------------
+  //
+  // `options.kind` selects the kind of index:
+  // - "sorted": orders nodes by `options.property` (see `SortedIndex`)
+  // - "unique": maps values of `options.property` to nodes (see `UniqueIndex`)
+  // - otherwise: groups nodes by `options.property` (see `Index`)
+
   this.addIndex = function(name, options) {
     if (this.indexes[name]) {
       throw new GraphError("Index with name " + name + "already exists.");
     }
-    var index = new Index(this, options);
+    options = options || {};
+    var IndexClass = INDEX_KINDS[options.kind || "default"];
+    if (!IndexClass) {
+      throw new GraphError("Unknown index kind: " + options.kind);
+    }
+    var index = new IndexClass(this, options);
     this.indexes[name] = index;
 
     return index;
@@ -281,6 +936,129 @@ Graph.Prototype = function() {
     delete this.indexes[name];
   };
 
+  // Applies an operation and records it in the history.
+  // Within a transaction the operation is staged until commit.
+  this._apply = function(op) {
+    this._changeNodes(op);
+    this._checkIndexes(op);
+    if (this.__transaction__) {
+      this.__transaction__.push(op);
+    } else {
+      this._updateIndexes(op);
+      this._notify(op);
+      this.history.record(op);
+    }
+  };
+
+  // Lets indexes reject an operation, e.g., unique indexes reject duplicates.
+  // The nodes are reverted if an index throws.
+  this._checkIndexes = function(op) {
+    try {
+      _.each(this.indexes, function(index) {
+        if (index.check) index.check(op);
+      });
+    } catch (err) {
+      this._changeNodes(Operation.invert(op));
+      throw err;
+    }
+  };
+
+  // Applies an operation without recording it.
+  this._applyOp = function(op) {
+    this._changeNodes(op);
+    this._updateIndexes(op);
+    this._notify(op);
+  };
+
+  this._changeNodes = function(op) {
+    if (op.type === "create") {
+      this.nodes[op.path[0]] = copy(op.val);
+    } else if (op.type === "delete") {
+      delete this.nodes[op.path[0]];
+    } else if (op.type === "set") {
+      this._thaw(op.path);
+      this.resolve(op.path).set(copy(op.val));
+    } else if (op.type === "update") {
+      this._thaw(op.path);
+      this.resolve(op.path).update(op.diff);
+    } else {
+      throw new GraphError("Unsupported operation type: " + op.type);
+    }
+    delete this.__snapshot__;
+    this.references.onGraphChange(op);
+  };
+
+  // Replaces frozen nodes and values along a path by copies (copy-on-write),
+  // so that the value at the path can be changed without affecting snapshots
+  this._thaw = function(path) {
+    var parent = this.nodes;
+    var key = path[0];
+    for (var idx = 1; idx < path.length; idx++) {
+      var value = parent[key];
+      if (!_.isObject(value)) return;
+      if (Object.isFrozen(value)) {
+        value = parent[key] = _.isArray(value) ? value.slice(0) : _.clone(value);
+      }
+      parent = value;
+      key = path[idx];
+    }
+  };
+
+  // Records staged operations as one change set and updates indexes and listeners
+  this._commit = function(ops) {
+    if (ops.length === 0) return;
+
+    this.history.begin();
+    _.each(ops, function(op) {
+      this.history.record(op);
+    }, this);
+    this.history.end();
+
+    _.each(this.indexes, function(index) {
+      index.onGraphChanges(ops);
+    });
+    _.each(ops, function(op) {
+      this._notify(op);
+    }, this);
+  };
+
+  // Announces an applied operation via a `graph:op` event and the
+  // according change event (see `onNode`)
+  this._notify = function(op) {
+    this.trigger("graph:op", op);
+
+    var id = op.path[0];
+    var change;
+    if (op.type === "create") {
+      change = { event: "node:created", node: this.nodes[id] };
+    } else if (op.type === "delete") {
+      change = { event: "node:deleted", node: op.val };
+    } else if (op.type === "set") {
+      change = { event: "property:set", node: this.nodes[id], path: op.path, value: op.val, original: op.original };
+    } else if (op.type === "update") {
+      change = { event: "property:updated", node: this.nodes[id], path: op.path, diff: op.diff };
+    } else {
+      return;
+    }
+
+    this.trigger(change.event, change);
+    this.trigger(NODE_CHANGES + id, change);
+    if (change.node && this.schema.isNodeType(change.node.type)) {
+      _.each(this.schema.typeChain(change.node.type), function(type) {
+        this.trigger(TYPE_CHANGES + type, change);
+      }, this);
+    }
+  };
+
+  // Reverts all staged operations after a given position
+  this._rollback = function(mark) {
+    var staged = this.__transaction__;
+    for (var idx = staged.length - 1; idx >= mark; idx--) {
+      this._changeNodes(Operation.invert(staged[idx]));
+    }
+    staged.splice(mark, staged.length - mark);
+  };
+
   this._updateIndexes = function(op) {
     _.each(this.indexes, function(index) {
       if (!op) {
@@ -291,25 +1069,31 @@ Graph.Prototype = function() {
     }, this);
   };
 
-  this._queryArray = function(arr, type) {
+  // Resolves references within arrays, sets and maps.
+  // Maps are resolved to maps of nodes, arrays and sets to arrays of nodes.
+  this._queryComposite = function(value, type) {
     if (!_.isArray(type)) {
-      throw new GraphError("Illegal argument: array types must be specified as ['array'(, 'array')*, <type>]");
+      throw new GraphError("Illegal argument: composite types must be specified as [('array'|'set'|'map')+, <type>]");
     }
-    var result, idx;
-    if (type[1] === "array") {
-      result = [];
-      for (idx = 0; idx < arr.length; idx++) {
-        result.push(this._queryArray(arr[idx], type.slice(1)));
-      }
-    } else if (!isValueType(type[1])) {
-      result = [];
-      for (idx = 0; idx < arr.length; idx++) {
-        result.push(this.get(arr[idx]));
-      }
+    if (value === undefined || value === null) {
+      return value;
+    }
+    var resolve;
+    if (Schema.COMPOSITE_TYPES.indexOf(type[1]) >= 0) {
+      resolve = function(item) { return this._queryComposite(item, type.slice(1)); };
+    } else if (type.length > 1 && !isValueType(type[1])) {
+      resolve = function(id) { return this.get(id); };
     } else {
-      result = arr;
+      return value;
     }
-    return result;
+    if (type[0] === "map") {
+      var result = {};
+      _.each(value, function(item, key) {
+        result[key] = resolve.call(this, item);
+      }, this);
+      return result;
+    }
+    return _.map(value, resolve, this);
   };
 
 };
@@ -323,9 +1107,62 @@ Graph.DEFAULT_MODE = Graph.STRICT_INDEXING;
 
 Graph.prototype = new Graph.Prototype();
 
+// Linked data import
+// --------
+//
+// Builds a graph from a JSON-LD document (see `Data.LinkedData.fromJSONLD`).
+// Other than with `seed` all nodes are validated (see `check`).
+//     Data.Graph.fromJSONLD(schema, doc, {context: {...}});
+
+Graph.fromJSONLD = function(schema, doc, options) {
+  schema = (schema instanceof Schema) ? schema : new Schema(schema);
+  var graph = new Graph(schema, { seed: LinkedData.fromJSONLD(schema, doc, options) });
+  var issues = graph.check();
+  if (issues.length > 0) {
+    throw validationError("Could not import graph.", issues);
+  }
+  return graph;
+};
+
+// Streaming import
+// --------
+//
+// Builds a graph from newline-delimited JSON read from a readable stream
+// (see `Data.NDJSON.read`). Other than with `seed` all nodes are validated.
+//     Data.Graph.importNDJSON(schema, fs.createReadStream("fruits.ndjson"), function(err, graph) { ... });
+// Options are passed to the constructor.
+
+Graph.importNDJSON = function(schema, stream, options, cb) {
+  if (_.isFunction(options)) {
+    cb = options;
+    options = {};
+  }
+  var graph = new Graph(schema, _.omit(options || {}, "seed", "load"));
+  NDJSON.read(graph, stream, cb);
+};
+
 Graph.Schema = Schema;
 Graph.Property = Property;
 Graph.Index = Index;
+Graph.SortedIndex = SortedIndex;
+Graph.UniqueIndex = UniqueIndex;
+Graph.Validator = Validator;
+Graph.Checker = Checker;
+Graph.JSONSchema = Schema.JSONSchema;
+Graph.Query = Query;
+Graph.ReferenceIndex = ReferenceIndex;
+Graph.Chronicle = Chronicle;
+Graph.merge = merge;
+Graph.diff = diff;
+Graph.Traversal = Traversal;
+Graph.NDJSON = NDJSON;
+Graph.LinkedData = LinkedData;
+Graph.Store = Store;
+Graph.MemoryStore = MemoryStore;
+Graph.History = History;
+Graph.Operation = Operation;
+Graph.transform = Operation.transform;
+Graph.GraphError = GraphError;
 
 // Exports
 // ========
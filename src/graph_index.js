@@ -1,14 +1,22 @@
 var _ = require("underscore");
 var util = require("substance-util");
 
-// Creates an index for the document applying a given node filter function
-// and grouping using a given key function
+// Creates an index for the graph applying a given node filter function
+// and grouping nodes into scopes by a key path
 // --------
 //
-// - document: a document instance
+// - graph: a graph instance
 // - filter: a function that takes a node and returns true if the node should be indexed
-// - key: a function that provides a path for scoped indexing (default: returns empty path)
+// - types: a list of types; only nodes which are instances of one of them are indexed
+// - property: a property or a list of properties (compound key) whose values
+//   provide the path for scoped indexing, e.g., `["container", "type"]`
+// - key: a function `(node, graph)` that computes the path for scoped indexing,
+//   e.g., `function(node, graph) { return graph.get(node.section).document; }`
 //
+// Without property and key all nodes are indexed in the root scope.
+// Nodes are scoped by the values of a compound key up to the first missing one.
+// Computed keys may depend on nodes reachable via references; when a node
+// changes, the nodes referencing it (directly or indirectly) are re-indexed.
 
 var Index = function(graph, options) {
   options = options || {};
@@ -17,16 +25,23 @@ var Index = function(graph, options) {
 
   this.nodes = {};
   this.scopes = {};
+  this.keys = {};
+  // live results (see `observe`)
+  this.observers = [];
 
   if (options.filter) {
     this.filter = options.filter;
   } else if (options.types) {
+    this.types = options.types;
     this.filter = Index.typeFilter(graph.schema, options.types);
   }
 
   if (options.property) {
     this.property = options.property;
   }
+  if (options.key) {
+    this.key = options.key;
+  }
 
   this.createIndex();
 };
@@ -50,10 +65,43 @@ Index.Prototype = function() {
   };
 
   var _getKey = function(node) {
-    if (!this.property) return null;
-    var key = node[this.property] ? node[this.property] : null;
-    if (_.isString(key)) key = [key];
-    return key;
+    var key;
+    if (this.key) {
+      key = this.key(node, this.graph);
+    } else if (_.isArray(this.property)) {
+      key = [];
+      for (var idx = 0; idx < this.property.length; idx++) {
+        var value = node[this.property[idx]];
+        if (value === undefined || value === null) break;
+        key.push(value);
+      }
+    } else if (this.property) {
+      key = node[this.property];
+    }
+    if (key === undefined || key === null || key === "") return null;
+    return _.isArray(key) ? key : [key];
+  };
+
+  // Checks if a property is part of the key
+  var _isKeyProperty = function(property) {
+    return _.isArray(this.property) ? this.property.indexOf(property) >= 0 : this.property === property;
+  };
+
+  // Collects the ids of all nodes which reference a given node, directly or indirectly
+  var _referrers = function(id) {
+    var result = [];
+    var queue = [id];
+    var visited = {};
+    visited[id] = true;
+    while (queue.length > 0) {
+      _.each(this.graph.references.referrers(queue.shift()), function(source) {
+        if (visited[source]) return;
+        visited[source] = true;
+        result.push(source);
+        queue.push(source);
+      });
+    }
+    return result;
   };
 
   // Accumulates all indexed children of the given (sub-)index
@@ -72,37 +120,58 @@ Index.Prototype = function() {
   //
 
   this.onGraphChange = function(op) {
+    if (this.observers.length === 0) {
+      return this.applyOp(op);
+    }
+    var ids = this._affected(op);
+    var before = _.pick(this.keys, ids);
     this.applyOp(op);
+    this._propagate(ids, before, op);
   };
 
-  this._add = function(node) {
-    if (!this.filter || this.filter(node)) {
-      var key = _getKey.call(this, node);
-      var index = _resolve.call(this, key);
-      index.nodes[node.id] = node.id;
-    }
+  // Keeps the index up-to-date when a transaction is committed
+  // --------
+  //
+  // Called once with all operations of the transaction in the order they have
+  // been applied. Index kinds may override it to process them at once.
+
+  this.onGraphChanges = function(ops) {
+    _.each(ops, this.onGraphChange, this);
   };
 
-  this._remove = function(node) {
-    if (!this.filter || this.filter(node)) {
-      var key = _getKey.call(this, node);
-      var index = _resolve.call(this, key);
-      delete index.nodes[node.id];
+  // Returns the ids of all nodes which may be re-indexed by an operation
+  this._affected = function(op) {
+    var ids = [op.path[0]];
+    // Computed keys of referencing nodes may change as well
+    if (this.key) {
+      ids = ids.concat(_referrers.call(this, op.path[0]));
     }
+    return ids;
+  };
+
+  // Returns the key a node is indexed with, or undefined if it is not indexed
+  this._keyOf = function(node) {
+    if (this.filter && !this.filter(node)) return undefined;
+    return _getKey.call(this, node);
+  };
+
+  this._add = function(node) {
+    var key = this._keyOf(node);
+    if (key === undefined) return;
+    var index = _resolve.call(this, key);
+    index.nodes[node.id] = node.id;
+    this.keys[node.id] = key;
   };
 
-  this._update = function(node, property, newValue, oldValue) {
-    if ((this.property === property) && (!this.filter || this.filter(node))) {
-      var key = oldValue;
-      if (_.isString(key)) key = [key];
-      var index = _resolve.call(this, key);
+  // Removes a node from the scope it has been indexed with
+  this._remove = function(node) {
+    if (_.has(this.keys, node.id)) {
+      var index = _resolve.call(this, this.keys[node.id]);
       delete index.nodes[node.id];
-      key = newValue;
-      index.nodes[node.id] = node.id;
+      delete this.keys[node.id];
     }
   };
 
-
   this.applyOp = function(op) {
     if (op.type === "create") {
       this._add(op.val);
@@ -112,19 +181,22 @@ Index.Prototype = function() {
     }
     // type = 'update' or 'set'
     else {
-      var prop = this.graph.resolve(this, op.path);
-      var value = prop.get();
-      var oldValue;
-      if (value === undefined) {
-        return;
-      }
-      if (op.type === "set") {
-        oldValue = op.original;
-      } else {
-        console.error("Operational updates are not supported in this implementation");
+      var node = this.graph.get(op.path[0]);
+      // Only changes of key properties move a node to another scope
+      if (node && (this.key || _isKeyProperty.call(this, op.path[1]))) {
+        this._rekey(node);
       }
-      this._update(prop.node, prop.key, value, oldValue);
     }
+
+    _.each(_.rest(this._affected(op)), function(id) {
+      var referrer = this.graph.get(id);
+      if (referrer) this._rekey(referrer);
+    }, this);
+  };
+
+  this._rekey = function(node) {
+    this._remove(node);
+    this._add(node);
   };
 
   // Initializes the index
@@ -134,14 +206,7 @@ Index.Prototype = function() {
   this.createIndex = function() {
     this.reset();
 
-    var nodes = this.graph.nodes;
-    _.each(nodes, function(node) {
-      if (!this.filter || this.filter(node)) {
-        var key = _getKey.call(this, node);
-        var index = _resolve.call(this, key);
-        index.nodes[node.id] = node.id;
-      }
-    }, this);
+    _.each(this.graph.nodes, this._add, this);
   };
 
   // Collects all indexed nodes using a given path for scoping
@@ -174,9 +239,92 @@ Index.Prototype = function() {
     return result;
   };
 
+  // Observes the nodes within a scope
+  // --------
+  //
+  // Returns a live result which is kept up-to-date incrementally while the
+  // index processes operations. The callback receives a delta for every node
+  // which enters (`add`), leaves (`remove`) or changes within the scope (`change`):
+  //
+  //     var view = index.observe(["content"], function(delta) {
+  //       // delta: {type: "add", node: {...}, op: {...}}
+  //     });
+  //     view.list();
+  //     view.dispose();
+  //
+  // Without path all indexed nodes are observed.
+
+  this.observe = function(path, callback, context) {
+    if (path !== undefined && path !== null && !_.isArray(path)) path = [path];
+    var result = new Index.LiveResult(this, path, callback, context);
+    this.observers.push(result);
+    return result;
+  };
+
+  this.unobserve = function(result) {
+    this.observers = _.without(this.observers, result);
+  };
+
+  // Checks if a node indexed with a given key is within an observed scope
+  this._inScope = function(key, path) {
+    if (!path) return true;
+    if (!key || key.length < path.length) return false;
+    for (var idx = 0; idx < path.length; idx++) {
+      if (String(key[idx]) !== String(path[idx])) return false;
+    }
+    return true;
+  };
+
+  // Emits the deltas for nodes which have been re-indexed
+  // --------
+  //
+  // - ids: the ids of the nodes which may have changed
+  // - before: the keys the nodes had been indexed with
+  // - op: the operation which caused the change (undefined for rebuilds)
+
+  this._propagate = function(ids, before, op) {
+    _.each(this.observers, function(observer) {
+      _.each(ids, function(id) {
+        var wasIn = _.has(before, id) && this._inScope(before[id], observer.path);
+        var isIn = _.has(this.keys, id) && this._inScope(this.keys[id], observer.path);
+        var node;
+        if (isIn) {
+          node = this.graph.get(id);
+          if (!wasIn) {
+            observer._add(node, op);
+          } else if (!_.isEqual(before[id], this.keys[id]) || (op && op.path[0] === id) || observer.nodes[id] !== node) {
+            observer._change(node, op);
+          }
+        } else if (wasIn) {
+          observer._remove(id, op);
+        }
+      }, this);
+    }, this);
+  };
+
+  // Returns the ids of all nodes whose entries do not match the graph's nodes
+  // --------
+  //
+  // Entries drift when nodes are changed without operations, e.g., by
+  // changing a node object directly. `rebuild` brings the index in sync again.
+
+  this.drifted = function() {
+    var expected = {};
+    _.each(this.graph.nodes, function(node, id) {
+      var key = this._keyOf(node);
+      if (key !== undefined) expected[id] = key;
+    }, this);
+
+    return _.filter(_.union(_.keys(this.keys), _.keys(expected)), function(id) {
+      return !_.has(this.keys, id) || !_.has(expected, id) || !_.isEqual(this.keys[id], expected[id]);
+    }, this);
+  };
+
   this.reset = function() {
     this.nodes = {};
     this.scopes = {};
+    // the key each node has been indexed with
+    this.keys = {};
   };
 
   this.dispose = function() {
@@ -184,8 +332,10 @@ Index.Prototype = function() {
   };
 
   this.rebuild = function() {
+    var before = this.keys;
     this.reset();
     this.createIndex();
+    this._propagate(_.union(_.keys(before), _.keys(this.keys)), before);
   };
 };
 
@@ -193,6 +343,8 @@ Index.prototype = _.extend(new Index.Prototype(), util.Events.Listener);
 
 Index.typeFilter = function(schema, types) {
   return function(node) {
+    // Nodes of unknown types are never indexed (see `Graph.check`)
+    if (!schema.isNodeType(node.type)) return false;
     var typeChain = schema.typeChain(node.type);
     for (var i = 0; i < types.length; i++) {
       if (typeChain.indexOf(types[i]) >= 0) {
@@ -209,9 +361,73 @@ Index.Result.prototype.asList = function() {
   for (var key in this) {
     list.push(this[key]);
   }
+  return list;
 };
 Index.Result.prototype.getLength = function() {
   return Object.keys(this).length;
 };
 
+// A live result of an index scope (see `Index.observe`)
+// --------
+//
+// Holds the nodes of the scope by id; `nodes` must not be changed from outside.
+
+Index.LiveResult = function(index, path, callback, context) {
+  this.index = index;
+  this.path = path || null;
+  this.callback = callback;
+  this.context = context;
+
+  this.nodes = {};
+  _.each(index.keys, function(key, id) {
+    if (index._inScope(key, this.path)) {
+      this.nodes[id] = index.graph.get(id);
+    }
+  }, this);
+};
+
+Index.LiveResult.Prototype = function() {
+
+  this.get = function(id) {
+    return this.nodes[id];
+  };
+
+  this.list = function() {
+    return _.values(this.nodes);
+  };
+
+  this.getLength = function() {
+    return _.size(this.nodes);
+  };
+
+  // Stops observing the index
+  this.dispose = function() {
+    this.index.unobserve(this);
+  };
+
+  this._add = function(node, op) {
+    this.nodes[node.id] = node;
+    this._emit({ type: "add", node: node, op: op });
+  };
+
+  this._remove = function(id, op) {
+    var node = this.nodes[id];
+    delete this.nodes[id];
+    this._emit({ type: "remove", node: node, op: op });
+  };
+
+  this._change = function(node, op) {
+    this.nodes[node.id] = node;
+    this._emit({ type: "change", node: node, op: op });
+  };
+
+  this._emit = function(delta) {
+    if (this.callback) {
+      this.callback.call(this.context, delta, this);
+    }
+  };
+};
+
+Index.LiveResult.prototype = new Index.LiveResult.Prototype();
+
 module.exports = Index;
@@ -0,0 +1,116 @@
+"use strict";
+
+var _ = require("underscore");
+
+// Data.History
+// ========
+//
+// An ordered log of applied graph operations.
+//
+// Operations are stored in change sets, i.e., lists of operations which are
+// undone and redone as one step. Outside of a group every operation gets
+// its own change set.
+
+var History = function() {
+  this.reset();
+};
+
+History.Prototype = function() {
+
+  // Records an applied operation
+  // --------
+  //
+  // Recording a new operation discards all undone change sets.
+
+  this.record = function(op) {
+    if (this.__group__) {
+      this.__group__.push(op);
+    } else {
+      this.done.push([op]);
+    }
+    this.undone = [];
+  };
+
+  // Starts a group of operations which are recorded as one change set
+  // --------
+  //
+  // Groups can be nested; only the outermost group creates a change set.
+
+  this.begin = function() {
+    this.__level__++;
+    if (this.__level__ === 1) {
+      this.__group__ = [];
+    }
+  };
+
+  // Ends the current group
+  // --------
+  //
+
+  this.end = function() {
+    if (this.__level__ === 0) {
+      throw new Error("History.end() called without History.begin().");
+    }
+    this.__level__--;
+    if (this.__level__ === 0) {
+      var group = this.__group__;
+      this.__group__ = null;
+      if (group.length > 0) {
+        this.done.push(group);
+      }
+    }
+  };
+
+  // Checks if a group is currently open
+  this.isGrouping = function() {
+    return this.__level__ > 0;
+  };
+
+  this.canUndo = function() {
+    return this.done.length > 0;
+  };
+
+  this.canRedo = function() {
+    return this.undone.length > 0;
+  };
+
+  // Takes the latest change set for undoing
+  // --------
+  //
+  // Returns the operations of the change set in the order they have been applied.
+
+  this.undo = function() {
+    var changeSet = this.done.pop();
+    if (changeSet) this.undone.push(changeSet);
+    return changeSet;
+  };
+
+  // Takes the latest undone change set for redoing
+  // --------
+  //
+
+  this.redo = function() {
+    var changeSet = this.undone.pop();
+    if (changeSet) this.done.push(changeSet);
+    return changeSet;
+  };
+
+  // All recorded operations in the order they have been applied
+  // --------
+  //
+
+  this.ops = function() {
+    return _.flatten(this.done, true);
+  };
+
+  this.reset = function() {
+    this.done = [];
+    this.undone = [];
+    this.__group__ = null;
+    this.__level__ = 0;
+  };
+};
+
+History.prototype = new History.Prototype();
+
+module.exports = History;
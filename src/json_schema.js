@@ -0,0 +1,343 @@
+"use strict";
+
+var _ = require("underscore");
+
+// Data.JSONSchema
+// ========
+//
+// Converts schemas to JSON Schema (draft-07) documents and back, and validates
+// graph payloads (`graph.toJSON()`) against such documents:
+//
+//     var doc = schema.toJSONSchema();
+//     var issues = Data.Graph.JSONSchema.validate(doc, graph.toJSON());
+//     => [{path: ["nodes", "apple", "weight"], message: "Expected number."}]
+//
+// Every node type becomes a definition holding its own properties; parent types
+// are referenced via `allOf`. References to nodes are strings marked with
+// `x-reference: <type>` so that they can be converted back.
+// Properties may be null unless they are required.
+
+var DRAFT = "http://json-schema.org/draft-07/schema#";
+
+var VALUE_TYPES = {
+  "string": { type: "string" },
+  "number": { type: "number" },
+  "integer": { type: "integer" },
+  "float": { type: "number", format: "float" },
+  "boolean": { type: "boolean" },
+  "object": { type: "object" },
+  "array": { type: "array" },
+  "map": { type: "object", additionalProperties: {} },
+  "set": { type: "array", uniqueItems: true },
+  "date": { type: "string", format: "date-time" }
+};
+
+var _ref = function(type) {
+  return { $ref: "#/definitions/" + type };
+};
+
+// Converts a property type, e.g., `["array", "string"]`, to a JSON Schema
+var _propertyToJSONSchema = function(schema, type) {
+  var result;
+  if (_.isArray(type)) {
+    result = _propertyToJSONSchema(schema, type[0]);
+    var elementType = schema.elementType(type);
+    if (elementType !== undefined) {
+      result[(type[0] === "map") ? "additionalProperties" : "items"] = _propertyToJSONSchema(schema, elementType);
+    }
+    return result;
+  }
+  if (schema.isNodeType(type)) {
+    return { type: "string", "x-reference": type };
+  }
+  if (!VALUE_TYPES[type]) {
+    throw new Error("Unsupported value type: " + type);
+  }
+  return _.clone(VALUE_TYPES[type]);
+};
+
+// Converts a property specification (see `Schema.propertySpecs`) to a JSON Schema
+var _specToJSONSchema = function(schema, spec, required) {
+  var result = _propertyToJSONSchema(schema, spec.type);
+  if (!required && spec.nullable !== false) {
+    result.type = [result.type, "null"];
+  }
+  if (spec["enum"]) result["enum"] = spec["enum"].slice(0);
+  if (spec.pattern !== undefined) result.pattern = String(spec.pattern instanceof RegExp ? spec.pattern.source : spec.pattern);
+  var bound = (result.format === "date-time") ? function(limit) { return new Date(limit).toJSON(); } : _.identity;
+  if (spec.min !== undefined) result[(result.format === "date-time") ? "formatMinimum" : "minimum"] = bound(spec.min);
+  if (spec.max !== undefined) result[(result.format === "date-time") ? "formatMaximum" : "maximum"] = bound(spec.max);
+  if (_.has(spec, "default") && !_.isFunction(spec["default"])) result["default"] = spec["default"];
+  if (spec.nullable === false) result["x-nullable"] = false;
+  return result;
+};
+
+var toJSONSchema = function(schema) {
+  var definitions = {};
+  var typeIds = _.keys(schema.types);
+
+  _.each(schema.types, function(type, typeId) {
+    var required = _.difference(schema.requiredProperties(typeId), type.parent ? schema.requiredProperties(type.parent) : []);
+    var specs = _.pick(schema.propertySpecs(typeId), _.keys(type.properties));
+    var properties = {};
+    _.each(specs, function(spec, name) {
+      properties[name] = _specToJSONSchema(schema, spec, required.indexOf(name) >= 0);
+    });
+
+    var definition = { type: "object", properties: properties };
+    if (required.length > 0) definition.required = required.slice(0);
+    if (type.parent) {
+      definition = { allOf: [_ref(type.parent), definition] };
+    }
+    definitions[typeId] = definition;
+  });
+
+  // A node must be an instance of exactly one type
+  var node = {
+    type: "object",
+    required: ["id", "type"],
+    properties: {
+      id: { type: "string" },
+      type: { "enum": typeIds }
+    },
+    oneOf: _.map(typeIds, function(typeId) {
+      return { allOf: [{ properties: { type: { "const": typeId } } }, _ref(typeId)] };
+    })
+  };
+
+  return {
+    $schema: DRAFT,
+    $id: schema.id,
+    title: schema.id,
+    "x-version": schema.version,
+    type: "object",
+    required: ["schema", "nodes"],
+    properties: {
+      id: { type: ["string", "null"] },
+      schema: {
+        type: "array",
+        items: [{ "const": schema.id }, { type: "string" }]
+      },
+      nodes: {
+        type: "object",
+        additionalProperties: node
+      }
+    },
+    definitions: definitions
+  };
+};
+
+// Converts a property's JSON Schema back to a property type
+var _propertyFromJSONSchema = function(spec) {
+  if (spec["x-reference"]) return spec["x-reference"];
+
+  var types = _.without(_.flatten([spec.type]), "null");
+  var type = types[0];
+  if (type === "string" && spec.format === "date-time") return "date";
+  if (type === "number" && spec.format === "float") return "float";
+  if (type === "object" && _.isObject(spec.additionalProperties)) {
+    type = "map";
+    if (!_.isEmpty(spec.additionalProperties)) {
+      return ["map"].concat(_propertyFromJSONSchema(spec.additionalProperties));
+    }
+  }
+  if (type === "array" && spec.uniqueItems) {
+    type = "set";
+  }
+  if (type !== "object" && _.isObject(spec.items) && !_.isArray(spec.items)) {
+    return [type].concat(_propertyFromJSONSchema(spec.items));
+  }
+  if (!VALUE_TYPES[type]) {
+    throw new Error("Unsupported JSON Schema type: " + JSON.stringify(spec.type));
+  }
+  return type;
+};
+
+// Converts a property's JSON Schema back to a type or a property specification
+var _specFromJSONSchema = function(spec) {
+  var result = { type: _propertyFromJSONSchema(spec) };
+  if (spec["enum"]) result["enum"] = spec["enum"].slice(0);
+  if (spec.pattern !== undefined) result.pattern = spec.pattern;
+  if (spec.minimum !== undefined) result.min = spec.minimum;
+  if (spec.maximum !== undefined) result.max = spec.maximum;
+  if (spec.formatMinimum !== undefined) result.min = spec.formatMinimum;
+  if (spec.formatMaximum !== undefined) result.max = spec.formatMaximum;
+  if (_.has(spec, "default")) result["default"] = spec["default"];
+  if (spec["x-nullable"] === false) result.nullable = false;
+  return (_.size(result) === 1) ? result.type : result;
+};
+
+var _refName = function(spec) {
+  var match = spec && spec.$ref && /^#\/definitions\/(.+)$/.exec(spec.$ref);
+  return match ? match[1] : null;
+};
+
+// Converts a JSON Schema document created with `toJSONSchema` back to a
+// schema definition which can be passed to `new Schema(...)`.
+var fromJSONSchema = function(doc) {
+  var types = {};
+
+  _.each(doc.definitions, function(definition, typeId) {
+    var type = { properties: {} };
+    var own = definition;
+    if (definition.allOf) {
+      _.each(definition.allOf, function(part) {
+        var parent = _refName(part);
+        if (parent) type.parent = parent;
+        else own = part;
+      });
+    }
+    _.each(own.properties, function(spec, name) {
+      type.properties[name] = _specFromJSONSchema(spec);
+    });
+    if (own.required && own.required.length > 0) {
+      type.required = own.required.slice(0);
+    }
+    types[typeId] = type;
+  });
+
+  return {
+    id: doc.$id || doc.title,
+    version: doc["x-version"],
+    types: types
+  };
+};
+
+// Validation
+// --------
+//
+// Supports the subset of JSON Schema used by exported schemas:
+// type, const, enum, format (date-time), minimum, maximum, pattern,
+// properties, required, additionalProperties, items, uniqueItems, allOf, anyOf, oneOf and
+// local $refs. Bounds of dates are given as `formatMinimum` and `formatMaximum`.
+// Date objects are treated as date-time strings.
+
+var _typeOf = function(value) {
+  if (value === null) return "null";
+  if (_.isArray(value)) return "array";
+  if (_.isDate(value)) return "string";
+  if (_.isNumber(value)) return (Math.floor(value) === value) ? "integer" : "number";
+  return typeof value;
+};
+
+var _json = function(value) {
+  return _.isDate(value) ? value.toJSON() : value;
+};
+
+var _validate = function(root, spec, value, path, issues) {
+  var issue = function(message) {
+    issues.push({ path: path, message: message });
+  };
+
+  if (spec.$ref) {
+    var name = _refName(spec);
+    if (!name || !root.definitions || !root.definitions[name]) {
+      issue("Unresolvable reference: " + spec.$ref);
+      return;
+    }
+    _validate(root, root.definitions[name], value, path, issues);
+  }
+
+  if (spec.type !== undefined) {
+    var actual = _typeOf(value);
+    var allowed = _.flatten([spec.type]);
+    if (actual === "integer" && allowed.indexOf("number") >= 0) actual = "number";
+    if (allowed.indexOf(actual) < 0) {
+      issue("Expected " + allowed.join(" or ") + ".");
+      return;
+    }
+  }
+
+  if (_.has(spec, "const") && !_.isEqual(_json(value), spec["const"])) {
+    issue("Expected " + JSON.stringify(spec["const"]) + ".");
+  }
+  if (spec["enum"] && !_.some(spec["enum"], function(candidate) { return _.isEqual(_json(value), candidate); })) {
+    issue("Expected one of " + JSON.stringify(spec["enum"]) + ".");
+  }
+  if (spec.format === "date-time" && _.isString(_json(value)) && _.isNaN(Date.parse(_json(value)))) {
+    issue("Expected date-time.");
+  }
+  if (_.isNumber(value)) {
+    if (spec.minimum !== undefined && value < spec.minimum) issue("Expected at least " + spec.minimum + ".");
+    if (spec.maximum !== undefined && value > spec.maximum) issue("Expected at most " + spec.maximum + ".");
+  }
+  if (spec.format === "date-time" && value !== null) {
+    var time = Date.parse(_json(value));
+    if (spec.formatMinimum !== undefined && time < Date.parse(spec.formatMinimum)) issue("Expected at least " + spec.formatMinimum + ".");
+    if (spec.formatMaximum !== undefined && time > Date.parse(spec.formatMaximum)) issue("Expected at most " + spec.formatMaximum + ".");
+  }
+  if (spec.pattern !== undefined && _.isString(value) && !new RegExp(spec.pattern).test(value)) {
+    issue("Expected to match " + spec.pattern + ".");
+  }
+
+  if (_typeOf(value) === "object") {
+    _.each(spec.required, function(name) {
+      if (!_.has(value, name)) {
+        issues.push({ path: path.concat([name]), message: "Missing required property." });
+      }
+    });
+    _.each(value, function(child, name) {
+      if (child === undefined) return;
+      if (spec.properties && spec.properties[name]) {
+        _validate(root, spec.properties[name], child, path.concat([name]), issues);
+      } else if (spec.additionalProperties === false) {
+        issues.push({ path: path.concat([name]), message: "Unknown property." });
+      } else if (_.isObject(spec.additionalProperties)) {
+        _validate(root, spec.additionalProperties, child, path.concat([name]), issues);
+      }
+    });
+  }
+
+  if (_.isArray(value) && spec.uniqueItems && _.uniq(_.map(value, JSON.stringify)).length !== value.length) {
+    issue("Expected unique items.");
+  }
+  if (_.isArray(value) && spec.items) {
+    _.each(value, function(child, idx) {
+      var itemSpec = _.isArray(spec.items) ? spec.items[idx] : spec.items;
+      if (itemSpec) _validate(root, itemSpec, child, path.concat([idx]), issues);
+    });
+  }
+
+  _.each(spec.allOf, function(part) {
+    _validate(root, part, value, path, issues);
+  });
+
+  var matching = function(parts) {
+    return _.filter(parts, function(part) {
+      var partIssues = [];
+      _validate(root, part, value, path, partIssues);
+      return partIssues.length === 0;
+    });
+  };
+  if (spec.anyOf && matching(spec.anyOf).length === 0) {
+    issue("Expected a value matching any of the given schemas.");
+  }
+  if (spec.oneOf) {
+    var matches = matching(spec.oneOf);
+    if (matches.length === 1) return;
+    // Report the issues of the alternative which applies to the node type
+    var typed = _.find(spec.oneOf, function(part) {
+      return part.allOf && part.allOf[0].properties && value &&
+        _.isEqual(part.allOf[0].properties.type, { "const": value.type });
+    });
+    if (typed && matches.length === 0) {
+      _validate(root, typed, value, path, issues);
+    } else {
+      issue("Expected a value matching exactly one of the given schemas.");
+    }
+  }
+};
+
+// Validates a value against a JSON Schema document.
+// Returns a list of issues `{path, message}`, which is empty for valid values.
+var validate = function(doc, value) {
+  var issues = [];
+  _validate(doc, doc, value, [], issues);
+  return issues;
+};
+
+module.exports = {
+  toJSONSchema: toJSONSchema,
+  fromJSONSchema: fromJSONSchema,
+  validate: validate
+};
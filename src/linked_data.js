@@ -0,0 +1,415 @@
+"use strict";
+
+var _ = require("underscore");
+var GraphError = require("./errors").GraphError;
+
+// Data.LinkedData
+// ========
+//
+// Exchanges graphs with linked-data tooling as JSON-LD and N-Triples.
+//
+// - Nodes become resources with the IRI `base + id`, node types become classes
+//   and properties become predicates with the IRI `vocab + name`
+// - Values become literals with XML Schema datatypes (`date` becomes
+//   `xsd:dateTime`, `object` becomes a JSON literal), references become IRIs
+// - Arrays become ordered lists, sets become multiple values and maps become
+//   index maps (in RDF the keys of maps are lost)
+// - Composites within composites become lists, maps within composites
+//   become JSON literals
+//
+// Options:
+// - base: the IRI prefix of nodes (default: `urn:<schema id>:`)
+// - vocab: the IRI prefix of types and properties (default: `urn:<schema id>#`)
+// - context: a context used for importing in addition to the document's one
+
+var XSD = "http://www.w3.org/2001/XMLSchema#";
+var RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+
+var DATATYPES = {
+  "number": "xsd:double",
+  "float": "xsd:double",
+  "integer": "xsd:integer",
+  "boolean": "xsd:boolean",
+  "date": "xsd:dateTime",
+  "object": "@json"
+};
+
+var CONTAINERS = {
+  "array": "@list",
+  "set": "@set",
+  "map": "@index"
+};
+
+var _options = function(schema, options) {
+  var name = schema.id || "graph";
+  return _.extend({
+    base: "urn:" + name + ":",
+    vocab: "urn:" + name + "#"
+  }, options);
+};
+
+var _iri = function(options, id) {
+  return options.base + encodeURIComponent(id);
+};
+
+var _date = function(value) {
+  return _.isDate(value) ? value.toJSON() : new Date(value).toJSON();
+};
+
+// Returns the innermost type of a composite type
+var _leafType = function(schema, type) {
+  while (schema.elementType(type) !== undefined) {
+    type = schema.elementType(type);
+  }
+  return _.isArray(type) ? type[0] : type;
+};
+
+// Creates the term definition of a property or undefined if none is needed
+var _termDefinition = function(schema, type, name, options) {
+  var definition = { "@id": options.vocab + name };
+  var leafType = _leafType(schema, type);
+  if (schema.isNodeType(leafType)) {
+    definition["@type"] = "@id";
+  } else if (DATATYPES[leafType]) {
+    definition["@type"] = DATATYPES[leafType];
+  }
+  if (_.isArray(type) && CONTAINERS[type[0]]) {
+    definition["@container"] = CONTAINERS[type[0]];
+  }
+  return _.size(definition) > 1 ? definition : undefined;
+};
+
+// Creates the context for a schema
+// --------
+//
+// Properties which are declared with different types by different node types
+// get no term definition; their values are written in expanded form.
+// Returns the context and the names of these properties.
+
+var _context = function(schema, options) {
+  var context = {
+    "@version": 1.1,
+    "@base": options.base,
+    "@vocab": options.vocab,
+    "xsd": XSD
+  };
+  var definitions = {};
+  var conflicts = {};
+
+  _.each(schema.types, function(type, typeName) {
+    if (!schema.isNodeType(typeName)) return;
+    _.each(schema.properties(typeName), function(propertyType, name) {
+      var definition = _termDefinition(schema, propertyType, name, options) || null;
+      if (_.has(definitions, name) && !_.isEqual(definitions[name], definition)) {
+        conflicts[name] = true;
+      }
+      definitions[name] = definition;
+    });
+  });
+
+  _.each(definitions, function(definition, name) {
+    if (definition && !conflicts[name]) context[name] = definition;
+  });
+
+  return { context: context, conflicts: _.keys(conflicts) };
+};
+
+// Converts a value of a property to JSON-LD
+// --------
+//
+// - level: the nesting level within composites
+// - expanded: write values as value objects instead of relying on the context
+
+var _toJSONLD = function(schema, type, value, options, level, expanded) {
+  var baseType = _.isArray(type) ? type[0] : type;
+  var elementType = schema.elementType(type);
+
+  if (schema.isNodeType(baseType)) {
+    return expanded ? { "@id": _iri(options, value) } : _iri(options, value);
+  }
+
+  if (baseType === "array" || baseType === "set") {
+    var items = _.map(value, function(item) {
+      return _toJSONLD(schema, elementType, item, options, level + 1, expanded);
+    });
+    return (level > 0 || (expanded && baseType === "array")) ? { "@list": items } : items;
+  }
+
+  if (baseType === "map") {
+    if (level > 0 || expanded) return { "@value": value, "@type": "@json" };
+    var result = {};
+    _.each(value, function(item, key) {
+      result[key] = _toJSONLD(schema, elementType, item, options, level + 1, expanded);
+    });
+    return result;
+  }
+
+  if (baseType === "date") value = _date(value);
+  if (baseType === "string" || !DATATYPES[baseType]) return value;
+  return expanded ? { "@value": value, "@type": DATATYPES[baseType] } : value;
+};
+
+// Exports a graph as JSON-LD
+// --------
+//
+//     LinkedData.toJSONLD(graph, {base: "http://example.com/fruits/"});
+//     => {"@context": {...}, "@graph": [{"@id": "http://example.com/fruits/apple", "@type": "fruit", ...}]}
+
+var toJSONLD = function(graph, options) {
+  var schema = graph.schema;
+  options = _options(schema, options);
+  var context = _context(schema, options);
+
+  var nodes = _.map(graph.nodes, function(node) {
+    var result = {
+      "@id": _iri(options, node.id),
+      "@type": node.type
+    };
+    _.each(schema.properties(node.type), function(type, name) {
+      var value = node[name];
+      if (value === undefined || value === null) return;
+      var expanded = context.conflicts.indexOf(name) >= 0;
+      result[expanded ? options.vocab + name : name] = _toJSONLD(schema, type, value, options, 0, expanded);
+    });
+    return result;
+  });
+
+  return {
+    "@context": context.context,
+    "@graph": nodes
+  };
+};
+
+// Escapes a string for N-Triples
+var _escape = function(str) {
+  return str.replace(/[\\"\n\r\t\b\f]|[\u0000-\u001f]/g, function(c) {
+    var escapes = { "\\": "\\\\", "\"": "\\\"", "\n": "\\n", "\r": "\\r", "\t": "\\t", "\b": "\\b", "\f": "\\f" };
+    if (escapes[c]) return escapes[c];
+    return "\\u" + ("000" + c.charCodeAt(0).toString(16).toUpperCase()).slice(-4);
+  });
+};
+
+var _literal = function(value, datatype) {
+  var literal = "\"" + _escape(String(value)) + "\"";
+  return datatype ? literal + "^^<" + datatype + ">" : literal;
+};
+
+// Exports a graph as N-Triples
+// --------
+//
+// Returns the triples as a string, one per line. Lists are written as
+// `rdf:first`/`rdf:rest` chains of blank nodes.
+
+var toNTriples = function(graph, options) {
+  var schema = graph.schema;
+  options = _options(schema, options);
+  var lines = [];
+  var blankNodes = 0;
+
+  var triple = function(subject, predicate, object) {
+    lines.push(subject + " " + predicate + " " + object + " .");
+  };
+
+  // Returns the RDF terms for a value
+  var terms = function(type, value, level) {
+    var baseType = _.isArray(type) ? type[0] : type;
+    var elementType = schema.elementType(type);
+
+    if (schema.isNodeType(baseType)) {
+      return ["<" + _iri(options, value) + ">"];
+    }
+    if (baseType === "array" || (baseType === "set" && level > 0)) {
+      var head = "<" + RDF + "nil>";
+      _.each(value.slice(0).reverse(), function(item) {
+        var node = "_:b" + (blankNodes++);
+        triple(node, "<" + RDF + "first>", terms(elementType, item, level + 1)[0]);
+        triple(node, "<" + RDF + "rest>", head);
+        head = node;
+      });
+      return [head];
+    }
+    if (baseType === "set" || (baseType === "map" && level === 0)) {
+      return _.flatten(_.map(_.values(value), function(item) {
+        return terms(elementType, item, level + 1);
+      }));
+    }
+    if (baseType === "map" || baseType === "object") {
+      return [_literal(JSON.stringify(value), RDF + "JSON")];
+    }
+    if (baseType === "date") {
+      return [_literal(_date(value), XSD + "dateTime")];
+    }
+    var datatype = DATATYPES[baseType];
+    return [_literal(value, datatype ? XSD + datatype.substr("xsd:".length) : undefined)];
+  };
+
+  _.each(graph.nodes, function(node) {
+    var subject = "<" + _iri(options, node.id) + ">";
+    triple(subject, "<" + RDF + "type>", "<" + options.vocab + node.type + ">");
+    _.each(schema.properties(node.type), function(type, name) {
+      var value = node[name];
+      if (value === undefined || value === null) return;
+      _.each(terms(type, value, 0), function(object) {
+        triple(subject, "<" + options.vocab + name + ">", object);
+      });
+    });
+  });
+
+  return lines.length > 0 ? lines.join("\n") + "\n" : "";
+};
+
+// Imports a JSON-LD document
+// --------
+//
+// Maps the nodes of a document to nodes of a schema and returns a seed for a
+// graph (see `Graph.fromJSONLD`). Types and properties are identified by
+// their IRIs, which are expanded using the document's context and
+// `options.context`. Values are converted according to the property types of
+// the schema. Embedded nodes are imported as well; resources which are not of
+// a node type and properties which are not declared are ignored. Literals
+// which can not be converted are rejected with a GraphError naming subject,
+// predicate and literal. Remote contexts are not supported.
+
+var fromJSONLD = function(schema, doc, options) {
+  options = options || {};
+
+  var context = {};
+  _.each(_.flatten([doc["@context"] || [], options.context || []]), function(local) {
+    if (!_.isObject(local)) {
+      throw new GraphError("Could not import JSON-LD: remote contexts are not supported.");
+    }
+    _.extend(context, local);
+  });
+  var namespaces = {};
+  if (context["@base"]) namespaces.base = context["@base"];
+  if (context["@vocab"]) namespaces.vocab = context["@vocab"];
+  options = _options(schema, _.extend({}, options, namespaces));
+
+  // Expands an IRI; terms are only considered for types and properties
+  var expand = function(value, vocab) {
+    var definition = context[value];
+    if (vocab && definition !== undefined && value.charAt(0) !== "@") {
+      var id = _.isString(definition) ? definition : definition["@id"];
+      return (id === undefined || id === value) ? options.vocab + value : expand(id, false);
+    }
+    var colon = value.indexOf(":");
+    if (colon > 0) {
+      var prefix = value.substr(0, colon);
+      var suffix = value.substr(colon + 1);
+      if (suffix.substr(0, 2) !== "//" && _.isString(context[prefix])) {
+        return context[prefix] + suffix;
+      }
+      return value;
+    }
+    return (vocab ? options.vocab : options.base) + value;
+  };
+
+  // Returns the name within a namespace, or undefined
+  var local = function(iri, namespace) {
+    return (iri.indexOf(namespace) === 0) ? iri.substr(namespace.length) : undefined;
+  };
+
+  // Returns the keyword a key denotes (considering aliases like `"id": "@id"`)
+  var keyword = function(key) {
+    if (key.charAt(0) === "@") return key;
+    return (_.isString(context[key]) && context[key].charAt(0) === "@") ? context[key] : undefined;
+  };
+
+  // Returns the key of an object which denotes a given keyword
+  var keyOf = function(data, name) {
+    return _.find(_.keys(data), function(key) { return keyword(key) === name; });
+  };
+
+  var nodes = {};
+  var pending = [].concat(doc["@graph"] || doc);
+
+  var nodeId = function(value) {
+    var iri = expand(_.isObject(value) ? value[keyOf(value, "@id")] : value, false);
+    var name = local(iri, options.base);
+    return (name !== undefined) ? decodeURIComponent(name) : iri;
+  };
+
+  // Converts a JSON-LD value to a value of a given type
+  var convert = function(type, value) {
+    var baseType = _.isArray(type) ? type[0] : type;
+    var elementType = schema.elementType(type);
+    var isValueObject = _.isObject(value) && _.has(value, "@value");
+
+    if (schema.isNodeType(baseType)) {
+      // Embedded nodes
+      if (_.isObject(value) && _.size(_.omit(value, keyOf(value, "@id"), "@index")) > 0) pending.push(value);
+      return nodeId(value);
+    }
+    if (baseType === "array" || baseType === "set") {
+      if (isValueObject) return value["@value"];
+      if (_.isObject(value) && !_.isArray(value)) value = value["@list"] || value["@set"] || [value];
+      return _.map([].concat(value), function(item) {
+        return convert(elementType, item);
+      });
+    }
+    if (baseType === "map") {
+      if (isValueObject) return value["@value"];
+      var result = {};
+      _.each(value, function(item, key) {
+        if (key.charAt(0) !== "@") result[key] = convert(elementType, item);
+      });
+      return result;
+    }
+
+    var literal = isValueObject ? value["@value"] : value;
+    if (_.isString(literal) && ["number", "integer", "float", "boolean", "date"].indexOf(baseType) >= 0) {
+      var parsed;
+      try {
+        parsed = schema.parseValue(baseType, literal);
+        // the schema does not reject invalid dates
+        if (_.isDate(parsed) && isNaN(parsed.getTime())) throw new Error("Invalid date.");
+      } catch (err) {
+        throw new GraphError("invalid " + baseType + " literal " + JSON.stringify(literal));
+      }
+      literal = parsed;
+    }
+    return literal;
+  };
+
+  while (pending.length > 0) {
+    var data = pending.shift();
+    var idKey = keyOf(data, "@id");
+    var typeKey = keyOf(data, "@type");
+    var types = _.map([].concat(data[typeKey] || []), function(type) {
+      return local(expand(type, true), options.vocab);
+    });
+    var typeName = _.find(types, function(type) { return type !== undefined && schema.isNodeType(type); });
+    if (!typeName) continue;
+    if (!idKey) {
+      throw new GraphError("Could not import JSON-LD: node of type " + typeName + " has no @id.");
+    }
+
+    var node = { id: nodeId(data[idKey]), type: typeName };
+    var properties = schema.properties(typeName);
+    _.each(data, function(value, key) {
+      if (keyword(key) || value === null) return;
+      var predicate = expand(key, true);
+      var name = local(predicate, options.vocab);
+      if (name !== undefined && _.has(properties, name)) {
+        try {
+          node[name] = convert(properties[name], value);
+        } catch (err) {
+          if (!(err instanceof GraphError)) throw err;
+          throw new GraphError("Could not import JSON-LD: <" + expand(data[idKey], false) + "> <" + predicate + ">: " + err.message);
+        }
+      }
+    });
+    nodes[node.id] = _.extend(nodes[node.id] || {}, node);
+  }
+
+  return {
+    schema: [schema.id, schema.version],
+    nodes: nodes
+  };
+};
+
+module.exports = {
+  toJSONLD: toJSONLD,
+  toNTriples: toNTriples,
+  fromJSONLD: fromJSONLD
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+var util = require("substance-util");
+var Store = require("./store");
+
+// Data.MemoryStore
+// ========
+//
+// A store which keeps snapshot and journal in memory.
+// Data is serialized on write, so stored data is not affected by later changes
+// of the graph. Callbacks are invoked synchronously.
+
+var MemoryStore = function() {
+  this.snapshot = null;
+  this.ops = [];
+};
+
+MemoryStore.Prototype = function() {
+
+  this.load = function(cb) {
+    cb(null, {
+      snapshot: util.deepclone(this.snapshot),
+      ops: util.deepclone(this.ops)
+    });
+  };
+
+  this.save = function(snapshot, cb) {
+    this.snapshot = util.deepclone(snapshot);
+    this.ops = [];
+    if (cb) cb(null);
+  };
+
+  this.appendOps = function(ops, cb) {
+    this.ops = this.ops.concat(util.deepclone(ops));
+    if (cb) cb(null);
+  };
+};
+
+MemoryStore.Prototype.prototype = Store.prototype;
+MemoryStore.prototype = new MemoryStore.Prototype();
+
+module.exports = MemoryStore;
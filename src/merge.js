@@ -0,0 +1,150 @@
+"use strict";
+
+var _ = require("underscore");
+var util = require("substance-util");
+var Schema = require("./schema");
+var ReferenceIndex = require("./reference_index");
+var GraphError = require("./errors").GraphError;
+
+// Data.merge
+// ========
+//
+// Three-way merge of two graph states which have diverged from a common
+// ancestor:
+//
+//     var result = Data.Graph.merge(base, ours, theirs);
+//     => { nodes: {...}, conflicts: [...] }
+//
+// States are given as graphs or as snapshots (`graph.toJSON()`).
+// Changes are merged per node property. Conflicts are:
+//
+// - `property`: a property has been changed to different values on both sides
+//   `{type: "property", path: [id, property], base: ..., ours: ..., theirs: ...}`
+// - `delete`: a node has been deleted on one side and changed on the other
+//   `{type: "delete", path: [id], base: ..., ours: ..., theirs: ...}`
+//   (the deleted side's value is undefined)
+// - `reference`: a merged property references a node which does not exist
+//   in the merged state `{type: "reference", path: [id, property], target: id}`.
+//
+// The schema is taken from the given graphs. If only snapshots are given,
+// `options.schema` is required.
+//
+// Conflicts can be resolved with `options.resolve(conflict)`, which returns
+// "ours", "theirs" or `{value: ...}` (for `delete` conflicts a node or null).
+// Unresolved conflicts take our side and are listed in the result.
+// `merge.ours` and `merge.theirs` are resolvers which always pick one side.
+
+var _nodes = function(state) {
+  if (!state) return {};
+  if (_.isFunction(state.toJSON)) state = state.toJSON();
+  return state.nodes || {};
+};
+
+// Snapshots carry only the id and version of their schema
+var _schema = function(states, schema) {
+  if (schema) return (schema instanceof Schema) ? schema : new Schema(schema);
+  var graph = _.find(states, function(state) {
+    return state && state.schema instanceof Schema;
+  });
+  if (!graph) throw new GraphError("Can not merge snapshots without a schema: please provide options.schema");
+  return graph.schema;
+};
+
+var merge = function(base, ours, theirs, options) {
+  options = options || {};
+  var schema = _schema([ours, theirs, base], options.schema);
+  var resolve = options.resolve || function() {};
+
+  var baseNodes = _nodes(base);
+  var ourNodes = _nodes(ours);
+  var theirNodes = _nodes(theirs);
+
+  var result = {};
+  var conflicts = [];
+
+  // Picks the value for a conflict using the resolver
+  var decide = function(conflict) {
+    var resolution = resolve(conflict);
+    if (resolution === "ours") return { value: conflict.ours };
+    if (resolution === "theirs") return { value: conflict.theirs };
+    if (_.isObject(resolution) && _.has(resolution, "value")) return resolution;
+    conflicts.push(conflict);
+    return { value: conflict.ours };
+  };
+
+  var ids = _.union(_.keys(baseNodes), _.keys(ourNodes), _.keys(theirNodes));
+
+  _.each(ids, function(id) {
+    var b = baseNodes[id];
+    var o = ourNodes[id];
+    var t = theirNodes[id];
+
+    var node;
+    if (_.isEqual(o, t)) {
+      node = o;
+    } else if (_.isEqual(b, o)) {
+      node = t;
+    } else if (_.isEqual(b, t)) {
+      node = o;
+    } else if (!o || !t) {
+      // deleted on one side, changed on the other
+      node = decide({ type: "delete", path: [id], base: b, ours: o, theirs: t }).value;
+    } else {
+      node = mergeNode(id, b || {}, o, t, decide);
+    }
+
+    if (node) {
+      result[id] = util.deepclone(node);
+    }
+  });
+
+  checkReferences(schema, result, conflicts);
+
+  return {
+    nodes: result,
+    conflicts: conflicts
+  };
+};
+
+// Merges the properties of a node which has been changed on both sides
+var mergeNode = function(id, b, o, t, decide) {
+  var node = {};
+  _.each(_.union(_.keys(b), _.keys(o), _.keys(t)), function(key) {
+    var value;
+    if (_.isEqual(o[key], t[key]) || _.isEqual(b[key], t[key])) {
+      value = o[key];
+    } else if (_.isEqual(b[key], o[key])) {
+      value = t[key];
+    } else {
+      value = decide({ type: "property", path: [id, key], base: b[key], ours: o[key], theirs: t[key] }).value;
+    }
+    if (value !== undefined) {
+      node[key] = value;
+    }
+  });
+  return node;
+};
+
+var checkReferences = function(schema, nodes, conflicts) {
+  _.each(nodes, function(node) {
+    if (!schema.isNodeType(node.type)) return;
+    _.each(schema.properties(node.type), function(type, property) {
+      if (!schema.referenceType(type)) return;
+      _.each(ReferenceIndex.targets(node[property]), function(target) {
+        if (_.isString(target) && !nodes[target]) {
+          conflicts.push({ type: "reference", path: [node.id, property], target: target });
+        }
+      });
+    });
+  });
+};
+
+merge.ours = function() {
+  return "ours";
+};
+
+merge.theirs = function() {
+  return "theirs";
+};
+
+module.exports = merge;
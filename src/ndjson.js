@@ -0,0 +1,227 @@
+"use strict";
+
+var _ = require("underscore");
+var Validator = require("./validator");
+var Checker = require("./checker");
+var GraphError = require("./errors").GraphError;
+
+// Data.NDJSON
+// ========
+//
+// Streams graphs as newline-delimited JSON, so that large graphs can be
+// exported and imported without holding their serialization in memory:
+//
+//     {"schema":["fruits","1.0.0"]}
+//     {"id":"apple-tree","type":"tree","name":"Apple tree"}
+//     {"id":"apple","type":"fruit","name":"Apple","tree":"apple-tree"}
+//
+// The first line is a header with the schema, every other line holds a node.
+// Streams of older schema versions can not be migrated (see
+// `Schema.addMigration`), as migrations need the whole graph.
+
+// Nodes are read before the nodes they reference may have been read, so
+// reference checks are deferred until the end of the stream
+var DeferringValidator = function(graph) {
+  Validator.call(this, graph);
+  this.deferred = [];
+};
+
+DeferringValidator.Prototype = function() {
+
+  var __super__ = Validator.prototype;
+
+  this.checkReference = function(path, type, value) {
+    this.deferred.push([path, type, value]);
+  };
+
+  this.checkDeferred = function(issues) {
+    _.each(this.deferred, function(args) {
+      __super__.checkReference.call(this, args[0], args[1], args[2], issues);
+    }, this);
+    this.deferred = [];
+  };
+};
+
+DeferringValidator.Prototype.prototype = Validator.prototype;
+DeferringValidator.prototype = new DeferringValidator.Prototype();
+
+var _checkHeader = function(schema, header) {
+  if (!_.isObject(header) || !_.isArray(header.schema)) {
+    throw new GraphError("Could not import graph: missing schema header.");
+  }
+  if (schema.id && !_.isEqual(header.schema, [schema.id, schema.version])) {
+    throw new GraphError([
+      "Graph does not conform to schema. Expected: ",
+      schema.id+"@"+schema.version,
+      " Actual: ",
+      header.schema[0]+"@"+header.schema[1]
+    ].join(''));
+  }
+};
+
+// Writes a graph to a writable stream
+// --------
+//
+// The nodes are checked against the schema (see `Graph.check`) before
+// anything is written. Writing respects backpressure and works on a snapshot,
+// so the graph may change meanwhile. The stream is ended afterwards unless
+// `options.end` is false.
+//
+//     NDJSON.write(graph, fs.createWriteStream("fruits.ndjson"), function(err) { ... });
+
+var write = function(graph, stream, options, cb) {
+  if (_.isFunction(options)) {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+
+  var issues = new Checker(graph).checkNodes();
+  if (issues.length > 0) {
+    return cb(Validator.error("Could not export graph.", issues));
+  }
+
+  var snapshot = graph.snapshot();
+  var ids = _.keys(snapshot.nodes);
+  // -1 denotes the header
+  var pos = -1;
+
+  var finished = false;
+  var finish = function(err) {
+    if (finished) return;
+    finished = true;
+    stream.removeListener("error", finish);
+    cb(err || null);
+  };
+  stream.on("error", finish);
+
+  var next = function() {
+    var ready = true;
+    while (ready && pos < ids.length) {
+      var data = (pos < 0) ? { id: snapshot.id, schema: snapshot.schema } : snapshot.nodes[ids[pos]];
+      pos++;
+      ready = stream.write(JSON.stringify(data) + "\n");
+    }
+    if (pos < ids.length) {
+      stream.once("drain", next);
+    } else if (options.end === false) {
+      finish();
+    } else {
+      stream.end(function() { finish(); });
+    }
+  };
+  next();
+};
+
+// Reads nodes from a readable stream into a graph
+// --------
+//
+// Every node is validated like in `Graph.create` as soon as its line has been
+// read; references are checked at the end of the stream. Nodes are added
+// without operations and indexes are rebuilt once at the end. The imported
+// state becomes the graph's initial state (see `Graph.reset`).
+//
+// If any issues are found, the graph is left unchanged and the callback gets
+// a GraphError listing them (`err.issues`). Invalid JSON, a wrong header or an
+// error of the stream stop the import at once and the stream is destroyed.
+//
+//     NDJSON.read(graph, fs.createReadStream("fruits.ndjson"), function(err, graph) { ... });
+
+var read = function(graph, stream, cb) {
+  var validator = new DeferringValidator(graph);
+  var issues = [];
+  // ids of the added nodes, for reverting them on errors
+  var added = [];
+  var header = null;
+  var buffer = "";
+  var lineNumber = 0;
+
+  var finished = false;
+  var finish = function(err) {
+    if (finished) return;
+    finished = true;
+    // later errors of the stream are still caught by `finish`
+    stream.removeListener("data", onData);
+    stream.removeListener("end", onEnd);
+    if (err) {
+      // the rest of the stream is not read
+      if (_.isFunction(stream.destroy)) stream.destroy();
+      else if (_.isFunction(stream.pause)) stream.pause();
+      _.each(added, function(id) {
+        delete graph.nodes[id];
+      });
+      return cb(err);
+    }
+    cb(null, graph);
+  };
+
+  var readLine = function(line) {
+    lineNumber++;
+    line = line.trim();
+    if (line.length === 0) return;
+
+    var data;
+    try {
+      data = JSON.parse(line);
+    } catch (err) {
+      throw new GraphError("Could not import graph: invalid JSON in line " + lineNumber + ": " + err.message);
+    }
+
+    if (!header) {
+      _checkHeader(graph.schema, data);
+      header = data;
+      return;
+    }
+
+    if (data && graph.contains(data.id)) {
+      issues.push({ path: [data.id], message: "Node already exists." });
+      return;
+    }
+    var node = validator.parseNode(data, issues);
+    if (node) {
+      graph.nodes[node.id] = node;
+      added.push(node.id);
+    }
+  };
+
+  var onData = function(chunk) {
+    var lines = (buffer + chunk).split("\n");
+    buffer = lines.pop();
+    try {
+      _.each(lines, readLine);
+    } catch (err) {
+      finish(err);
+    }
+  };
+
+  var onEnd = function() {
+    try {
+      readLine(buffer);
+      if (!header) _checkHeader(graph.schema, header);
+    } catch (err) {
+      return finish(err);
+    }
+
+    validator.checkDeferred(issues);
+    if (issues.length > 0) {
+      return finish(Validator.error("Could not import graph.", issues));
+    }
+
+    graph.__seed__ = graph.snapshot();
+    graph.reset();
+    finish(null);
+  };
+
+  // Nodes are added directly, so a cached snapshot would become outdated
+  delete graph.__snapshot__;
+
+  if (stream.setEncoding) stream.setEncoding("utf8");
+  stream.on("data", onData);
+  stream.on("end", onEnd);
+  stream.on("error", finish);
+};
+
+module.exports = {
+  write: write,
+  read: read
+};
@@ -0,0 +1,448 @@
+"use strict";
+
+var _ = require("underscore");
+var util = require("substance-util");
+
+// Data.Operation
+// ========
+//
+// Graph operations are plain objects:
+//
+//     { type: "create", path: [id], val: node }
+//     { type: "delete", path: [id], val: node }
+//     { type: "set", path: [id, property, ...], val: newValue, original: oldValue }
+//     { type: "update", path: [id, property, ...], diff: diff }
+//     { type: "noop", path: [] }
+//
+// Update operations change array, string and object values in place.
+// Diffs are:
+//
+//     { type: "insert", pos: 2, val: element }       // array insert
+//     { type: "delete", pos: 2, val: element }       // array delete
+//     { type: "move", pos: 2, target: 0 }            // array move
+//     { type: "insert", pos: 5, text: "abc" }        // string insert
+//     { type: "delete", pos: 5, text: "abc" }        // string delete
+//     { type: "key", key: "size", val: newValue, original: oldValue }  // object key update
+//
+// This module provides helpers for working with them.
+
+var Operation = {};
+
+Operation.NOOP = "noop";
+
+Operation.noop = function() {
+  return { type: Operation.NOOP, path: [] };
+};
+
+// Helpers for accessing nested values without modifying them
+
+var getAt = function(obj, path) {
+  for (var idx = 0; idx < path.length; idx++) {
+    if (obj === null || obj === undefined) return undefined;
+    obj = obj[path[idx]];
+  }
+  return obj;
+};
+
+// Returns a copy of obj with a value set at the given path.
+// Only the containers along the path are copied.
+var setAt = function(obj, path, val) {
+  if (path.length === 0) return val;
+  var copy = _.isArray(obj) ? obj.slice(0) : _.clone(obj);
+  copy[path[0]] = setAt(obj[path[0]], path.slice(1), val);
+  return copy;
+};
+
+var isPrefix = function(prefix, path) {
+  if (prefix.length > path.length) return false;
+  for (var idx = 0; idx < prefix.length; idx++) {
+    if (prefix[idx] !== path[idx]) return false;
+  }
+  return true;
+};
+
+// Creates the operation which reverts a given operation
+// --------
+//
+
+Operation.invert = function(op) {
+  if (op.type === "create") {
+    return { type: "delete", path: op.path, val: op.val };
+  }
+  else if (op.type === "delete") {
+    return { type: "create", path: op.path, val: op.val };
+  }
+  else if (op.type === "set") {
+    return { type: "set", path: op.path, val: op.original, original: op.val };
+  }
+  else if (op.type === "update") {
+    return { type: "update", path: op.path, diff: Operation.invertDiff(op.diff) };
+  }
+  else if (op.type === Operation.NOOP) {
+    return Operation.noop();
+  }
+  else {
+    throw new Error("Unsupported operation type: " + op.type);
+  }
+};
+
+// Creates the diff which reverts a given diff
+// --------
+//
+
+Operation.invertDiff = function(diff) {
+  var result = _.clone(diff);
+  if (diff.type === "insert") {
+    result.type = "delete";
+  } else if (diff.type === "delete") {
+    result.type = "insert";
+  } else if (diff.type === "move") {
+    result.pos = diff.target;
+    result.target = diff.pos;
+  } else if (diff.type === "key") {
+    result.val = diff.original;
+    result.original = diff.val;
+  } else {
+    throw new Error("Unsupported diff type: " + diff.type);
+  }
+  return result;
+};
+
+// Applies a diff to a value
+// --------
+//
+// Returns the changed value; the given value is left untouched.
+
+Operation.applyDiff = function(value, diff) {
+  var result;
+  if (diff.text !== undefined) {
+    if (diff.type === "insert") {
+      return value.slice(0, diff.pos) + diff.text + value.slice(diff.pos);
+    } else if (diff.type === "delete") {
+      return value.slice(0, diff.pos) + value.slice(diff.pos + diff.text.length);
+    }
+  } else if (diff.type === "insert") {
+    result = value.slice(0);
+    result.splice(diff.pos, 0, diff.val);
+    return result;
+  } else if (diff.type === "delete") {
+    result = value.slice(0);
+    result.splice(diff.pos, 1);
+    return result;
+  } else if (diff.type === "move") {
+    result = value.slice(0);
+    result.splice(diff.target, 0, result.splice(diff.pos, 1)[0]);
+    return result;
+  } else if (diff.type === "key") {
+    result = _.clone(value);
+    result[diff.key] = diff.val;
+    return result;
+  }
+  throw new Error("Unsupported diff type: " + diff.type);
+};
+
+// Transforms two concurrent operations
+// --------
+//
+// Given two operations `a` and `b` which have been applied concurrently to
+// the same state, returns `[a', b']` so that applying `a` and then `b'`
+// leads to the same state as applying `b` and then `a'`.
+//
+// Conflicts are resolved in favour of `a`:
+//
+// - a deleted node stays deleted; changes to it are dropped
+// - of two sets on the same property the value of `a` wins
+// - a set on a nested path is merged into a concurrent set of a containing value
+// - a set replaces concurrent updates of the value it sets
+// - positions of concurrent array and string updates are shifted;
+//   inserts at the same position put the insert of `a` first
+//
+// Concurrent creates of the same node and concurrent array moves can not be
+// transformed and raise an error.
+// Given two lists of operations, the lists are transformed against each other.
+
+Operation.transform = function(a, b) {
+  if (_.isArray(a) || _.isArray(b)) {
+    return transformLists(_.flatten([a]), _.flatten([b]));
+  }
+
+  if (a.type === Operation.NOOP || b.type === Operation.NOOP || a.path[0] !== b.path[0]) {
+    return [a, b];
+  }
+
+  var id = a.path[0];
+
+  if (a.type === "delete" && b.type === "delete") {
+    return [Operation.noop(), Operation.noop()];
+  }
+  if (a.type === "create" || b.type === "create") {
+    throw new Error("Can not transform concurrent operations creating node " + id);
+  }
+  if (a.type === "delete") {
+    return [transformDelete(a, b), Operation.noop()];
+  }
+  if (b.type === "delete") {
+    return [Operation.noop(), transformDelete(b, a)];
+  }
+
+  // Object key updates are sets of nested values
+  a = keyToSet(a);
+  b = keyToSet(b);
+
+  if (a.type === "set" && b.type === "set") {
+    return transformSets(a, b);
+  }
+  if (a.type === "set") {
+    return transformSetAndUpdate(a, b);
+  }
+  if (b.type === "set") {
+    return transformSetAndUpdate(b, a).reverse();
+  }
+  return transformUpdates(a, b);
+};
+
+// Applies a set or update operation to a value at a given relative path
+var applyAt = function(value, rel, op) {
+  if (op.type === "set") {
+    return setAt(value, rel, op.val);
+  }
+  return setAt(value, rel, Operation.applyDiff(getAt(value, rel), op.diff));
+};
+
+var keyToSet = function(op) {
+  if (op.type !== "update" || op.diff.type !== "key") return op;
+  return {
+    type: "set",
+    path: op.path.concat([op.diff.key]),
+    val: op.diff.val,
+    original: op.diff.original
+  };
+};
+
+var updateOp = function(op, diff) {
+  return diff ? { type: "update", path: op.path, diff: diff } : Operation.noop();
+};
+
+// The deleted node has to contain the concurrent change
+var transformDelete = function(del, op) {
+  return {
+    type: "delete",
+    path: del.path,
+    val: applyAt(del.val, op.path.slice(1), keyToSet(op))
+  };
+};
+
+var transformSets = function(a, b) {
+  var rel;
+
+  // a sets a containing value: b's change is lost
+  if (isPrefix(a.path, b.path)) {
+    rel = b.path.slice(a.path.length);
+    return [
+      { type: "set", path: a.path, val: a.val, original: setAt(a.original, rel, b.val) },
+      Operation.noop()
+    ];
+  }
+
+  // b sets a containing value: a's change is merged into b's value
+  if (isPrefix(b.path, a.path)) {
+    rel = a.path.slice(b.path.length);
+    var container = getAt(b.val, rel.slice(0, -1));
+    var original = setAt(b.original, rel, a.val);
+    if (!_.isObject(container)) {
+      // a's change can not be applied to b's value
+      return [
+        Operation.noop(),
+        { type: "set", path: b.path, val: b.val, original: original }
+      ];
+    }
+    return [
+      { type: "set", path: a.path, val: a.val, original: container[_.last(rel)] },
+      { type: "set", path: b.path, val: setAt(b.val, rel, a.val), original: original }
+    ];
+  }
+
+  // independent properties
+  return [a, b];
+};
+
+// Returns [set', update']
+var transformSetAndUpdate = function(set, update) {
+  // the set replaces the updated value
+  if (isPrefix(set.path, update.path)) {
+    var rel = update.path.slice(set.path.length);
+    return [
+      { type: "set", path: set.path, val: set.val, original: applyAt(set.original, rel, update) },
+      Operation.noop()
+    ];
+  }
+  if (isPrefix(update.path, set.path)) {
+    return transformNested(update, set).reverse();
+  }
+  return [set, update];
+};
+
+var transformUpdates = function(a, b) {
+  if (_.isEqual(a.path, b.path)) {
+    var diffs = transformDiffs(a.diff, b.diff);
+    return [updateOp(a, diffs[0]), updateOp(b, diffs[1])];
+  }
+  if (isPrefix(a.path, b.path)) {
+    return transformNested(a, b);
+  }
+  if (isPrefix(b.path, a.path)) {
+    return transformNested(b, a).reverse();
+  }
+  return [a, b];
+};
+
+// Transforms an array update against an operation on one of the array's elements.
+// Returns [outer', inner']
+var transformNested = function(outer, inner) {
+  var diff = outer.diff;
+  var rel = inner.path.slice(outer.path.length);
+  var pos = rel[0];
+
+  if (diff.type === "move") {
+    throw new Error("Can not transform array moves.");
+  }
+
+  if (diff.type === "insert" && diff.pos <= pos) {
+    pos += 1;
+  } else if (diff.type === "delete" && diff.pos < pos) {
+    pos -= 1;
+  } else if (diff.type === "delete" && diff.pos === pos) {
+    // the element is deleted: the deleted value has to contain the change
+    var deleted = _.extend({}, diff, { val: applyAt(diff.val, rel.slice(1), inner) });
+    return [updateOp(outer, deleted), Operation.noop()];
+  }
+
+  var path = outer.path.concat([pos], rel.slice(1));
+  return [outer, _.extend({}, inner, { path: path })];
+};
+
+var _length = function(diff) {
+  return (diff.text !== undefined) ? diff.text.length : 1;
+};
+
+var _shift = function(diff, offset) {
+  return _.extend({}, diff, { pos: diff.pos + offset });
+};
+
+// Transforms two diffs on the same value.
+// Returns [a', b']; null denotes a diff which has no effect anymore.
+var transformDiffs = function(a, b) {
+  if (a.type === "move" || b.type === "move") {
+    throw new Error("Can not transform array moves.");
+  }
+
+  if (a.type === "insert" && b.type === "insert") {
+    if (a.pos <= b.pos) return [a, _shift(b, _length(a))];
+    return [_shift(a, _length(b)), b];
+  }
+
+  if (a.type === "insert" && b.type === "delete") {
+    return transformInsertAndDelete(a, b);
+  }
+  if (a.type === "delete" && b.type === "insert") {
+    return transformInsertAndDelete(b, a).reverse();
+  }
+
+  if (a.type === "delete" && b.type === "delete") {
+    return [deleteAfterDelete(a, b), deleteAfterDelete(b, a)];
+  }
+
+  throw new Error("Can not transform diffs of type " + a.type + " and " + b.type);
+};
+
+// Returns [insert', delete']
+var transformInsertAndDelete = function(ins, del) {
+  if (ins.pos <= del.pos) {
+    return [ins, _shift(del, _length(ins))];
+  }
+  if (ins.pos >= del.pos + _length(del)) {
+    return [_shift(ins, -_length(del)), del];
+  }
+  // text inserted into a deleted range is deleted as well
+  var offset = ins.pos - del.pos;
+  var text = del.text.slice(0, offset) + ins.text + del.text.slice(offset);
+  return [null, _.extend({}, del, { text: text })];
+};
+
+// Transforms a delete so that it can be applied after another delete
+var deleteAfterDelete = function(a, other) {
+  var la = _length(a);
+  var lo = _length(other);
+
+  // disjoint ranges
+  if (a.pos + la <= other.pos) return a;
+  if (a.pos >= other.pos + lo) return _shift(a, -lo);
+
+  if (a.text === undefined) {
+    // the same element has been deleted
+    return null;
+  }
+
+  // delete only what has not been deleted yet
+  var before = Math.max(0, Math.min(la, other.pos - a.pos));
+  var after = Math.min(la, Math.max(0, other.pos + lo - a.pos));
+  var text = a.text.slice(0, before) + a.text.slice(after);
+  if (text.length === 0) return null;
+  return { type: "delete", pos: Math.min(a.pos, other.pos), text: text };
+};
+
+var transformLists = function(as, bs) {
+  var resultA = [];
+  for (var i = 0; i < as.length; i++) {
+    var a = as[i];
+    var transformedB = [];
+    for (var j = 0; j < bs.length; j++) {
+      var pair = Operation.transform(a, bs[j]);
+      a = pair[0];
+      transformedB.push(pair[1]);
+    }
+    resultA.push(a);
+    bs = transformedB;
+  }
+  return [resultA, bs];
+};
+
+// Applies an operation to a plain map of nodes
+// --------
+//
+// This is used to replay operations on serialized graph data,
+// e.g., the nodes of a `toJSON()` snapshot.
+
+Operation.apply = function(nodes, op) {
+  var id = op.path[0];
+  if (op.type === "create") {
+    nodes[id] = util.deepclone(op.val);
+  }
+  else if (op.type === "delete") {
+    delete nodes[id];
+  }
+  else if (op.type === Operation.NOOP) {
+    return nodes;
+  }
+  else if (op.type === "set") {
+    var parent = nodes[id];
+    for (var idx = 1; idx < op.path.length - 1; idx++) {
+      parent = parent[op.path[idx]];
+    }
+    parent[_.last(op.path)] = util.deepclone(op.val);
+  }
+  else if (op.type === "update") {
+    var container = nodes[id];
+    for (var i = 1; i < op.path.length - 1; i++) {
+      container = container[op.path[i]];
+    }
+    var key = _.last(op.path);
+    container[key] = Operation.applyDiff(container[key], op.diff);
+  }
+  else {
+    throw new Error("Unsupported operation type: " + op.type);
+  }
+  return nodes;
+};
+
+module.exports = Operation;
@@ -1,10 +1,31 @@
 "use strict";
 
 var _ = require("underscore");
+var util = require("substance-util");
+var Operation = require("./operation");
+var GraphError = require("./errors").GraphError;
+
+// Data.Property
+// ========
+//
+// Resolves a path to a value within the graph:
+//
+//     ["apple", "name"]              a node property
+//     ["apple", "val", "size"]       a key within an object or map value
+//     ["basket", "fruits", 0]        an element of an array or set value
+//     ["apple", "tree", "name"]      a property of a referenced node
+//     ["basket", "fruits", 0, "name"]
+//
+// The first segment is a node id. References are followed whenever a path
+// continues after a value holding a node id, so the resolved property
+// belongs to the last node reached (`node`). Its canonical path starting
+// with that node's id is given by `path`.
+// Paths which can not be resolved raise a GraphError naming the failing segment.
+// The last segment may denote a key which does not exist yet.
 
 var Property = function(graph, path) {
   if (!path) {
-    throw new Error("Illegal argument: path is null/undefined.");
+    throw new GraphError("Illegal argument: path is null/undefined.");
   }
 
   this.graph = graph;
@@ -15,44 +36,76 @@ var Property = function(graph, path) {
 
 Property.Prototype = function() {
 
-  this.resolve = function(path) {
-    var node = this.graph;
-    var parent = node;
-    var type = "graph";
+  var _node = function(graph, id) {
+    return _.isString(id) ? graph.nodes[id] : undefined;
+  };
 
-    var key;
-    var value;
+  var _fail = function(path, idx, message) {
+    return new GraphError("Could not resolve path " + JSON.stringify(path) + " at segment " + idx +
+      " (" + JSON.stringify(path[idx]) + "): " + message);
+  };
 
-    var idx = 0;
-    for (; idx < path.length; idx++) {
+  this.resolve = function(path) {
+    if (!_.isArray(path) || path.length === 0) {
+      throw new GraphError("Illegal argument: path must be a non-empty array.");
+    }
 
-      // TODO: check if the property references a node type
-      if (type === "graph" || this.schema.types[type] !== undefined) {
-        // remember the last node type
-        parent = this.graph.get(path[idx]);
+    var node = _node(this.graph, path[0]);
+    if (!node) {
+      throw _fail(path, 0, "node does not exist.");
+    }
 
-        if (parent === undefined) {
-          //throw new Error("Key error: could not find element for path " + JSON.stringify(path));
-          return undefined;
+    var parent = node;
+    var value = node;
+    var type = node.type;
+    var key;
+    // the path relative to the current node
+    var relative = [];
+
+    for (var idx = 1; idx < path.length; idx++) {
+      var segment = path[idx];
+      var baseType = _.isArray(type) ? type[0] : type;
+
+      // Follow the reference held by the current value
+      if (key !== undefined && this.schema.isNodeType(baseType)) {
+        node = _node(this.graph, value);
+        if (!node) {
+          throw _fail(path, idx - 1, "reference to " + JSON.stringify(value) + " can not be followed.");
         }
-
-        node = parent;
-        type = this.schema.properties(parent.type);
         value = node;
+        type = node.type;
         key = undefined;
-      } else {
-        if (parent === undefined) {
-          //throw new Error("Key error: could not find element for path " + JSON.stringify(path));
-          return undefined;
-        }
-        key = path[idx];
-        var propName = path[idx];
-        type = type[propName];
-        value = parent[key];
+        relative = [];
+      }
 
-        if (idx < path.length-1) {
-          parent = parent[propName];
+      if (key === undefined) {
+        // a property of the current node
+        var properties = this.schema.properties(node.type);
+        if (!_.has(properties, segment) && segment !== "id" && segment !== "type") {
+          throw _fail(path, idx, "unknown property of type " + node.type + ".");
         }
+        type = properties[segment];
+      } else if (_.isArray(value)) {
+        var pos = Number(segment);
+        if (Math.floor(pos) !== pos || pos < 0 || pos >= value.length) {
+          throw _fail(path, idx, "index out of bounds.");
+        }
+        segment = pos;
+        type = this.schema.elementType(type);
+      } else if (_.isObject(value) && !_.isDate(value)) {
+        type = this.schema.elementType(type);
+      } else {
+        throw _fail(path, idx, (value === undefined || value === null) ?
+          "value is " + value + "." : "value is not a container.");
+      }
+
+      parent = value;
+      key = segment;
+      value = parent[key];
+      relative.push(key);
+
+      if (value === undefined && idx < path.length - 1) {
+        throw _fail(path, idx, "value is undefined.");
       }
     }
 
@@ -61,9 +114,9 @@ Property.Prototype = function() {
       parent: parent,
       type: type,
       key: key,
-      value: value
+      value: value,
+      path: [node.id].concat(relative)
     };
-
   };
 
   this.get = function() {
@@ -76,12 +129,22 @@ Property.Prototype = function() {
 
   this.set = function(value) {
     if (this.key !== undefined) {
-      this.parent[this.key] = this.schema.parseValue(this.baseType, value);
+      // Values without a declared type, e.g., within objects, are taken as they are
+      this.parent[this.key] = (this.type === undefined) ? util.deepclone(value) : this.schema.parseValue(this.baseType, value);
     } else {
       throw new Error("'set' is only supported for node properties.");
     }
   };
 
+  // Changes the value using a diff (see `Operation.applyDiff`)
+  this.update = function(diff) {
+    if (this.key !== undefined) {
+      this.parent[this.key] = Operation.applyDiff(this.get(), diff);
+    } else {
+      throw new Error("'update' is only supported for node properties.");
+    }
+  };
+
 };
 Property.prototype = new Property.Prototype();
 Object.defineProperties(Property.prototype, {
@@ -90,11 +153,6 @@ Object.defineProperties(Property.prototype, {
       if (_.isArray(this.type)) return this.type[0];
       else return this.type;
     }
-  },
-  path: {
-    get: function() {
-      return [this.node.id, this.key];
-    }
   }
 });
 
@@ -0,0 +1,271 @@
+"use strict";
+
+var _ = require("underscore");
+var ReferenceIndex = require("./reference_index");
+var GraphError = require("./errors").GraphError;
+
+// Data.Query
+// ========
+//
+// A declarative query on a graph:
+//
+//     graph.find({
+//       type: "fruit",
+//       where: {
+//         color: { in: ["red", "green"] },
+//         weight: { gte: 100, lt: 200 },
+//         name: { regex: /^Apple/ },
+//         "tree.name": "Apple tree"
+//       },
+//       sort: ["-weight", "name"],
+//       offset: 0,
+//       limit: 10
+//     });
+//
+// - type: a type or a list of types; nodes of sub-types match as well
+// - where: property predicates; a plain value is compared for equality,
+//   objects can specify `eq`, `in`, `gt`, `gte`, `lt`, `lte` and `regex`.
+//   Dotted property paths follow references to other nodes; for arrays, sets
+//   and maps of references a predicate holds if it holds for any of the
+//   referenced nodes.
+// - sort: a property path or a list of them; prefix with `-` for descending order
+// - offset, limit: select a window of the sorted result
+//
+// A list of queries returns the union of their results.
+
+var Query = function(graph, spec) {
+  this.graph = graph;
+  this.schema = graph.schema;
+  this.spec = spec || {};
+
+  this.types = this.spec.type ? _.flatten([this.spec.type]) : null;
+  _.each(this.types, function(type) {
+    if (!this.schema.isNodeType(type)) {
+      throw new GraphError("Unknown type in query: " + type);
+    }
+  }, this);
+
+  this.predicates = _.map(this.spec.where || {}, function(condition, path) {
+    return {
+      path: path.split("."),
+      condition: Query.condition(condition)
+    };
+  });
+};
+
+Query.Prototype = function() {
+
+  // Returns all matching nodes
+  // --------
+  //
+
+  this.execute = function() {
+    var result = _.filter(this.candidates(), this.matches, this);
+
+    if (this.spec.sort) {
+      result = this.sort(result, _.flatten([this.spec.sort]));
+    }
+
+    var offset = this.spec.offset || 0;
+    var end = (this.spec.limit !== undefined) ? offset + this.spec.limit : undefined;
+    return result.slice(offset, end);
+  };
+
+  // Checks if a node satisfies the type constraint and all predicates
+  // --------
+  //
+
+  this.matches = function(node) {
+    if (this.types) {
+      if (!this.schema.isNodeType(node.type)) return false;
+      var typeChain = this.schema.typeChain(node.type);
+      if (_.intersection(typeChain, this.types).length === 0) return false;
+    }
+    return _.every(this.predicates, function(predicate) {
+      return _.some(this.values(node, predicate.path), predicate.condition);
+    }, this);
+  };
+
+  // Collects the values of a property path, following references
+  // --------
+  //
+
+  this.values = function(node, path) {
+    var values = [node];
+    for (var idx = 0; idx < path.length; idx++) {
+      var next = [];
+      var last = (idx === path.length - 1);
+      for (var j = 0; j < values.length; j++) {
+        var current = values[j];
+        if (!current) continue;
+        var value = current[path[idx]];
+        if (last || !this.schema.isNodeType(current.type)) {
+          next.push(value);
+          continue;
+        }
+        // Follow references to the next node
+        var type = this.schema.properties(current.type)[path[idx]];
+        if (this.schema.referenceType(type)) {
+          _.each(ReferenceIndex.targets(value), function(id) {
+            next.push(this.graph.get(id));
+          }, this);
+        } else {
+          next.push(value);
+        }
+      }
+      values = next;
+    }
+    return values;
+  };
+
+  this.sort = function(nodes, keys) {
+    var criteria = _.map(keys, function(key) {
+      var desc = (key[0] === "-");
+      return {
+        path: (desc ? key.slice(1) : key).split("."),
+        order: desc ? -1 : 1
+      };
+    });
+
+    var self = this;
+    var sortValue = function(node, criterion) {
+      var value = self.values(node, criterion.path)[0];
+      return (value instanceof Date) ? value.getTime() : value;
+    };
+
+    return nodes.slice(0).sort(function(a, b) {
+      for (var idx = 0; idx < criteria.length; idx++) {
+        var criterion = criteria[idx];
+        var va = sortValue(a, criterion);
+        var vb = sortValue(b, criterion);
+        if (va === vb) continue;
+        // undefined and null values are sorted to the end
+        if (va === undefined || va === null) return 1;
+        if (vb === undefined || vb === null) return -1;
+        return (va < vb ? -1 : 1) * criterion.order;
+      }
+      return 0;
+    });
+  };
+
+  // Checks if a condition consists of comparisons only
+  var _isRange = function(condition) {
+    return _.isObject(condition) && !_.isArray(condition) && !_.isDate(condition) &&
+      !(condition instanceof RegExp) && _.size(condition) > 0 &&
+      _.every(_.keys(condition), function(operator) {
+        return ["gt", "gte", "lt", "lte"].indexOf(operator) >= 0;
+      });
+  };
+
+  // Determines the nodes which need to be checked
+  // --------
+  //
+  // If a registered index covers the type constraint or an equality predicate
+  // its entries are taken instead of scanning all nodes. Sorted indexes also
+  // cover range predicates.
+  // Indexes are not used within transactions as they are updated on commit only.
+
+  this.candidates = function() {
+    if (!this.graph.__transaction__) {
+      var indexed = this.lookupIndexes();
+      if (indexed) return indexed;
+    }
+    return _.values(this.graph.nodes);
+  };
+
+  this.lookupIndexes = function() {
+    var where = this.spec.where || {};
+    var types = this.types ? this.types.slice(0).sort() : null;
+
+    var best = null;
+    _.each(this.graph.indexes, function(index) {
+      // The index must not exclude nodes which could match
+      if (index.filter && !(types && index.types && _.isEqual(index.types.slice(0).sort(), types))) {
+        return;
+      }
+      var result;
+      if (_.isString(index.property) && !index.key) {
+        var value = where[index.property];
+        if (_.isString(value)) {
+          result = index.get(value);
+        } else if (index.range && _isRange(value)) {
+          result = index.range(value);
+        } else {
+          return;
+        }
+      } else if (index.filter && !index.property) {
+        result = index.get();
+      } else {
+        return;
+      }
+      result = _.values(result);
+      if (!best || result.length < best.length) {
+        best = result;
+      }
+    });
+    return best;
+  };
+};
+
+Query.prototype = new Query.Prototype();
+
+// Creates a predicate function for a given condition
+// --------
+//
+
+Query.condition = function(condition) {
+  if (condition instanceof RegExp) {
+    condition = { regex: condition };
+  } else if (!_.isObject(condition) || _.isArray(condition) || _.isDate(condition)) {
+    condition = { eq: condition };
+  }
+
+  var checks = _.map(condition, function(operand, operator) {
+    var check = Query.OPERATORS[operator];
+    if (!check) {
+      throw new GraphError("Unknown query operator: " + operator);
+    }
+    return function(value) {
+      return check(value, operand);
+    };
+  });
+
+  return function(value) {
+    return _.every(checks, function(check) {
+      return check(value);
+    });
+  };
+};
+
+var _comparable = function(value) {
+  return (value instanceof Date) ? value.getTime() : value;
+};
+
+Query.OPERATORS = {
+  eq: function(value, operand) {
+    return _.isEqual(_comparable(value), _comparable(operand));
+  },
+  in: function(value, operand) {
+    return _.some(operand, function(candidate) {
+      return _.isEqual(_comparable(value), _comparable(candidate));
+    });
+  },
+  gt: function(value, operand) {
+    return value !== undefined && value !== null && _comparable(value) > _comparable(operand);
+  },
+  gte: function(value, operand) {
+    return value !== undefined && value !== null && _comparable(value) >= _comparable(operand);
+  },
+  lt: function(value, operand) {
+    return value !== undefined && value !== null && _comparable(value) < _comparable(operand);
+  },
+  lte: function(value, operand) {
+    return value !== undefined && value !== null && _comparable(value) <= _comparable(operand);
+  },
+  regex: function(value, operand) {
+    var regex = _.isString(operand) ? new RegExp(operand) : operand;
+    return _.isString(value) && regex.test(value);
+  }
+};
+
+module.exports = Query;
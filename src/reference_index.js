@@ -0,0 +1,176 @@
+"use strict";
+
+var _ = require("underscore");
+
+// Data.ReferenceIndex
+// ========
+//
+// Keeps track of references between nodes, i.e., values of properties which
+// have a node type or a composite type ending with a node type
+// (e.g., `["array", "fruit"]`).
+//
+// The index is kept in sync with the graph's nodes on every change, also
+// within transactions, so that it can be used to find the referrers of a node.
+
+var ReferenceIndex = function(graph) {
+  this.graph = graph;
+  this.schema = graph.schema;
+  this.reset();
+};
+
+ReferenceIndex.Prototype = function() {
+
+  var _targets = function(value) {
+    return ReferenceIndex.targets(value);
+  };
+
+  // Registers the references of a node's property
+  // --------
+  //
+
+  this.add = function(node, property) {
+    var type = this.schema.properties(node.type)[property];
+    if (!this.schema.referenceType(type)) return;
+
+    var targets = _targets(node[property]);
+    if (targets.length === 0) return;
+
+    this.outgoing[node.id] = this.outgoing[node.id] || Object.create(null);
+    this.outgoing[node.id][property] = targets;
+
+    _.each(targets, function(target) {
+      var incoming = this.incoming[target] = this.incoming[target] || Object.create(null);
+      incoming[node.id] = _.union(incoming[node.id] || [], [property]);
+    }, this);
+  };
+
+  // Unregisters the references of a node's property
+  // --------
+  //
+
+  this.remove = function(id, property) {
+    var outgoing = this.outgoing[id];
+    if (!outgoing || !outgoing[property]) return;
+
+    _.each(outgoing[property], function(target) {
+      var incoming = this.incoming[target];
+      if (!incoming || !incoming[id]) return;
+      incoming[id] = _.without(incoming[id], property);
+      if (incoming[id].length === 0) delete incoming[id];
+      if (_.isEmpty(incoming)) delete this.incoming[target];
+    }, this);
+
+    delete outgoing[property];
+    if (_.isEmpty(outgoing)) delete this.outgoing[id];
+  };
+
+  this.addNode = function(node) {
+    if (!this.schema.isNodeType(node.type)) return;
+    _.each(this.schema.properties(node.type), function(type, property) {
+      this.add(node, property);
+    }, this);
+  };
+
+  this.removeNode = function(id) {
+    _.each(_.keys(this.outgoing[id] || {}), function(property) {
+      this.remove(id, property);
+    }, this);
+  };
+
+  // Updates the index for an applied graph operation
+  // --------
+  //
+
+  this.onGraphChange = function(op) {
+    var id = op.path[0];
+    if (op.type === "create") {
+      this.addNode(op.val);
+    } else if (op.type === "delete") {
+      this.removeNode(id);
+    } else {
+      // Changes anywhere below a property affect all references held by it
+      var node = this.graph.get(id);
+      var property = op.path[1];
+      this.remove(id, property);
+      if (node && this.schema.isNodeType(node.type)) {
+        this.add(node, property);
+      }
+    }
+  };
+
+  // Returns the ids of all nodes referencing a given node
+  // --------
+  //
+  // Optionally only references held by a given property are considered.
+
+  this.referrers = function(id, property) {
+    var incoming = this.incoming[id] || {};
+    return _.filter(_.keys(incoming), function(source) {
+      return !property || incoming[source].indexOf(property) >= 0;
+    });
+  };
+
+  // Returns the properties of a node which reference a given node
+  // --------
+  //
+
+  this.properties = function(source, target) {
+    var incoming = this.incoming[target];
+    return (incoming && incoming[source]) ? incoming[source].slice(0) : [];
+  };
+
+  // All maps are keyed by node ids and have no prototype, so that ids like
+  // "constructor" or "__proto__" are plain keys
+  this.reset = function() {
+    this.incoming = Object.create(null);
+    this.outgoing = Object.create(null);
+  };
+
+  this.rebuild = function() {
+    this.reset();
+    _.each(this.graph.nodes, this.addNode, this);
+  };
+};
+
+ReferenceIndex.prototype = new ReferenceIndex.Prototype();
+
+// Collects all node ids referenced by a property value
+// --------
+//
+// Values are single ids or composites of ids, i.e., arrays, sets and maps
+// (e.g., `{"1": "fn1", "2": "fn2"}`).
+
+ReferenceIndex.targets = function(value) {
+  var result = [];
+  var collect = function(item) {
+    if (_.isString(item)) result.push(item);
+    else if (_.isArray(item)) _.each(item, collect);
+    else if (_.isObject(item) && !_.isDate(item)) _.each(_.values(item), collect);
+  };
+  collect(value);
+  return result;
+};
+
+// Removes all references to a given node from a property value
+// --------
+//
+// Single references are replaced by null, arrays and sets are filtered and
+// entries are removed from maps (recursively).
+
+ReferenceIndex.without = function(value, id) {
+  if (_.isArray(value)) {
+    return _.map(_.without(value, id), function(item) {
+      return _.isObject(item) ? ReferenceIndex.without(item, id) : item;
+    });
+  }
+  if (_.isObject(value) && !_.isDate(value)) {
+    var result = {};
+    _.each(value, function(item, key) {
+      if (item !== id) result[key] = _.isObject(item) ? ReferenceIndex.without(item, id) : item;
+    });
+    return result;
+  }
+  return (value === id) ? null : value;
+};
+
+module.exports = ReferenceIndex;
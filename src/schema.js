@@ -2,6 +2,7 @@
 
 var _ = require("underscore");
 var util = require("substance-util");
+var JSONSchema = require("./json_schema");
 
 
 // Data.Schema
@@ -11,6 +12,58 @@ var util = require("substance-util");
 
 var Schema = function(schema) {
   _.extend(this, schema);
+  this.migrations = (this.migrations || []).slice(0);
+};
+
+// Compares two versions given as "major.minor.patch"
+var compareVersions = function(a, b) {
+  a = String(a).split(".");
+  b = String(b).split(".");
+  for (var idx = 0; idx < Math.max(a.length, b.length); idx++) {
+    var na = parseInt(a[idx] || 0, 10);
+    var nb = parseInt(b[idx] || 0, 10);
+    if (na !== nb) return (na < nb) ? -1 : 1;
+  }
+  return 0;
+};
+
+// Checks if a version satisfies a version range.
+// Ranges are exact versions, versions with wildcards (e.g., "1.x", "*")
+// or space separated comparisons (e.g., ">=1.0.0 <1.3.0").
+var satisfies = function(version, range) {
+  return _.every(range.split(/\s+/), function(condition) {
+    var match = /^(<=|>=|<|>|=)?(.+)$/.exec(condition);
+    var operator = match[1];
+    var other = match[2];
+
+    if (!operator) {
+      var parts = other.split(".");
+      var actual = String(version).split(".");
+      return _.every(parts, function(part, idx) {
+        return part === "x" || part === "*" || part === actual[idx];
+      });
+    }
+
+    var cmp = compareVersions(version, other);
+    switch (operator) {
+      case "<": return cmp < 0;
+      case "<=": return cmp <= 0;
+      case ">": return cmp > 0;
+      case ">=": return cmp >= 0;
+      default: return cmp === 0;
+    }
+  });
+};
+
+// Value types which hold typed elements, e.g., ["array", "string"], ["map", "fruit"]
+var COMPOSITE_TYPES = ["array", "map", "set"];
+
+// Normalizes a property declaration to a specification object
+var _propertySpec = function(definition) {
+  if (_.isObject(definition) && !_.isArray(definition)) {
+    return _.clone(definition);
+  }
+  return { type: definition };
 };
 
 Schema.Prototype = function() {
@@ -18,12 +71,25 @@ Schema.Prototype = function() {
   // Return Default value for a given type
   // --------
   //
+  // Given a node type and a property name, the property's default is returned.
+
+  this.defaultValue = function(valueType, property) {
+    if (property !== undefined) {
+      var spec = this.propertySpec(valueType, property);
+      if (_.has(spec, "default")) {
+        return _.isFunction(spec["default"]) ? spec["default"]() : util.deepclone(spec["default"]);
+      }
+      valueType = _.isArray(spec.type) ? spec.type[0] : spec.type;
+    }
 
-  this.defaultValue = function(valueType) {
     if (valueType === "object") return {};
     if (valueType === "array") return [];
+    if (valueType === "map") return {};
+    if (valueType === "set") return [];
     if (valueType === "string") return "";
     if (valueType === "number") return 0;
+    if (valueType === "integer") return 0;
+    if (valueType === "float") return 0;
     if (valueType === "boolean") return false;
     if (valueType === "date") return new Date();
 
@@ -36,15 +102,24 @@ Schema.Prototype = function() {
   //
 
   this.parseValue = function(valueType, value) {
-    if (value === null) {
+    if (value === null || value === undefined) {
       return value;
     }
 
     if (_.isString(value)) {
       if (valueType === "object") return JSON.parse(value);
       if (valueType === "array") return JSON.parse(value);
+      if (valueType === "map") return this.parseValue(valueType, JSON.parse(value));
+      if (valueType === "set") return this.parseValue(valueType, JSON.parse(value));
       if (valueType === "string") return value;
-      if (valueType === "number") return parseInt(value, 10);
+      if (valueType === "number" || valueType === "float" || valueType === "integer") {
+        // The whole string must be a number, e.g., "12abc" and "" are rejected
+        var number = (value.trim() === "") ? NaN : Number(value);
+        if (!isFinite(number) || (valueType === "integer" && Math.floor(number) !== number)) {
+          throw new Error("Illegal value type: expected " + valueType + ".");
+        }
+        return number;
+      }
       if (valueType === "boolean") {
         if (value === "true") return true;
         else if (value === "false") return false;
@@ -62,6 +137,21 @@ Schema.Prototype = function() {
         }
         value = util.deepclone(value);
       }
+      else if (valueType === 'map') {
+        if (!_.isObject(value) || _.isArray(value) || _.isDate(value)) {
+          throw new Error("Illegal value type: expected map.");
+        }
+        value = util.deepclone(value);
+      }
+      else if (valueType === 'set') {
+        if (!_.isArray(value)) {
+          throw new Error("Illegal value type: expected set.");
+        }
+        if (_.uniq(_.map(value, JSON.stringify)).length !== value.length) {
+          throw new Error("Illegal value: sets must not contain duplicates.");
+        }
+        value = util.deepclone(value);
+      }
       else if (valueType === 'string') {
         if (!_.isString(value)) {
           throw new Error("Illegal value type: expected string.");
@@ -73,11 +163,16 @@ Schema.Prototype = function() {
         }
         value = util.deepclone(value);
       }
-      else if (valueType === 'number') {
+      else if (valueType === 'number' || valueType === 'float') {
         if (!_.isNumber(value)) {
           throw new Error("Illegal value type: expected number.");
         }
       }
+      else if (valueType === 'integer') {
+        if (!_.isNumber(value) || Math.floor(value) !== value) {
+          throw new Error("Illegal value type: expected integer.");
+        }
+      }
       else if (valueType === 'boolean') {
         if (!_.isBoolean(value)) {
           throw new Error("Illegal value type: expected boolean.");
@@ -137,14 +232,91 @@ Schema.Prototype = function() {
   // Return all properties for a given type
   // --------
   //
+  // => {name: "string", tree: "tree"}
 
   this.properties = function(type) {
+    return _.object(_.map(this.propertySpecs(type), function(spec, name) {
+      return [name, spec.type];
+    }));
+  };
+
+  // Return the specifications of all properties for a given type
+  // --------
+  //
+  // Properties are declared by their type or by a specification object:
+  //
+  //     weight: {type: "float", min: 0, max: 1000, default: 100},
+  //     size: {type: "string", enum: ["S", "M", "L"], nullable: false},
+  //     slug: {type: "string", pattern: "^[a-z-]+$", required: true}
+  //
+  // - type: the property type (additionally to the basic value types,
+  //   "integer" and "float" numbers are available)
+  // - enum: a list of allowed values
+  // - min, max: bounds for numbers and dates
+  // - pattern: a regular expression for strings
+  // - nullable: if false, the value must not be null (default: true)
+  // - required: if true, nodes must have a value
+  // - default: a value, or a function providing one, for nodes created without a value
+  //
+  // => {weight: {type: "float", min: 0, max: 1000, default: 100}, tree: {type: "tree"}}
+
+  this.propertySpecs = function(type) {
     type = _.isObject(type) ? type : this.type(type);
-    var result = (type.parent) ? this.properties(type.parent) : {};
-    _.extend(result, type.properties);
+    var result = (type.parent) ? this.propertySpecs(type.parent) : {};
+    _.each(type.properties, function(definition, name) {
+      result[name] = _propertySpec(definition);
+    });
     return result;
   };
 
+  // Return the specification of a property (see `propertySpecs`)
+  this.propertySpec = function(type, property) {
+    var spec = this.propertySpecs(type)[property];
+    if (!spec) throw new Error("Property not found for " + type + "." + property);
+    return spec;
+  };
+
+  // Return the names of all required properties for a given type
+  // --------
+  //
+  // Types declare required properties via `required: ["name", ...]` or
+  // via `required: true` in a property specification.
+  // Requirements are inherited from parent types.
+
+  this.requiredProperties = function(type) {
+    type = _.isObject(type) ? type : this.type(type);
+    var result = (type.parent) ? this.requiredProperties(type.parent) : [];
+    var flagged = _.filter(_.keys(type.properties || {}), function(name) {
+      return _propertySpec(type.properties[name]).required === true;
+    });
+    return _.union(result, type.required || [], flagged);
+  };
+
+  // Checks if a given type id denotes a node type
+  // --------
+  //
+  // Properties with a node type hold references (node ids).
+
+  this.isNodeType = function(typeId) {
+    return _.isString(typeId) && this.types[typeId] !== undefined;
+  };
+
+  // Returns the referenced node type for a given property type
+  // --------
+  //
+  // Properties holding references have a node type or a composite type ending
+  // with a node type:
+  //
+  //  "fruit" => "fruit"
+  //  ["array", "fruit"] => "fruit"
+  //  ["map", "fruit"] => "fruit"
+  //  ["array", "string"] => null
+
+  this.referenceType = function(propertyType) {
+    var type = _.isArray(propertyType) ? _.last(propertyType) : propertyType;
+    return this.isNodeType(type) ? type : null;
+  };
+
   // Returns the full type for a given property
   // --------
   //
@@ -157,6 +329,22 @@ Schema.Prototype = function() {
     return _.isArray(propertyType) ? propertyType : [propertyType];
   };
 
+  // Returns the type of the elements of a composite type
+  // --------
+  //
+  // Elements of arrays and sets are their items, elements of maps their values:
+  //
+  //  ["array", "string"] => "string"
+  //  ["map", "array", "fruit"] => ["array", "fruit"]
+  //  "array" => undefined (untyped)
+
+  this.elementType = function(type) {
+    if (_.isArray(type) && COMPOSITE_TYPES.indexOf(type[0]) >= 0 && type.length > 1) {
+      return (type.length > 2) ? type.slice(1) : type[1];
+    }
+    return undefined;
+  };
+
   // Returns the base type for a given property
   // --------
   //
@@ -166,8 +354,81 @@ Schema.Prototype = function() {
   this.propertyBaseType = function(type, property) {
     return this.propertyType(type, property)[0];
   };
+
+  // Export as JSON Schema
+  // --------
+  //
+  // Returns a JSON Schema document describing graph payloads (`graph.toJSON()`)
+  // of this schema (see `JSONSchema`).
+
+  this.toJSONSchema = function() {
+    return JSONSchema.toJSONSchema(this);
+  };
+
+  // Register a migration
+  // --------
+  //
+  // Migrations upgrade the nodes of a seed created with an older version of
+  // the schema. A migration applies to all versions within a given range
+  // (e.g., "1.0.0", "1.x", ">=1.0.0 <1.3.0") and upgrades to a given version:
+  //
+  //     schema.addMigration("1.x", "2.0.0", function(nodes) {
+  //       _.each(nodes, function(node) {
+  //         node.title = node.name;
+  //         delete node.name;
+  //       });
+  //       return nodes;
+  //     });
+  //
+  // The migration function receives a copy of the nodes and returns the
+  // upgraded nodes. Nodes may be renamed, changed, added or removed.
+  // Migrations can also be given with the schema definition as
+  // `migrations: [{from: "1.x", to: "2.0.0", migrate: function(nodes) {...}}]`.
+
+  this.addMigration = function(from, to, migrate) {
+    this.migrations.push({ from: from, to: to, migrate: migrate });
+  };
+
+  // Upgrades a seed to the current schema version
+  // --------
+  //
+  // Runs the chain of registered migrations starting with the seed's version.
+  // Returns a new seed; the given one is left untouched.
+
+  this.migrate = function(seed) {
+    var version = seed.schema[1];
+    var nodes = util.deepclone(seed.nodes);
+    var visited = [];
+
+    while (version !== this.version) {
+      visited.push(version);
+      var migration = _.find(this.migrations, function(m) {
+        return satisfies(version, m.from) && visited.indexOf(m.to) < 0;
+      });
+      if (!migration) {
+        throw new Error("No migration found from version " + version + " to " + this.version);
+      }
+      nodes = migration.migrate(nodes) || nodes;
+      version = migration.to;
+    }
+
+    return _.extend({}, seed, {
+      schema: [this.id, this.version],
+      nodes: nodes
+    });
+  };
 };
 
+// Creates a schema from a JSON Schema document (see `toJSONSchema`)
+Schema.fromJSONSchema = function(doc) {
+  return new Schema(JSONSchema.fromJSONSchema(doc));
+};
+
+Schema.JSONSchema = JSONSchema;
+Schema.COMPOSITE_TYPES = COMPOSITE_TYPES;
+Schema.compareVersions = compareVersions;
+Schema.satisfies = satisfies;
+
 Schema.prototype = new Schema.Prototype();
 
 module.exports = Schema;
@@ -0,0 +1,165 @@
+"use strict";
+
+var _ = require("underscore");
+var Index = require("./graph_index");
+var GraphError = require("./errors").GraphError;
+
+// Data.SortedIndex
+// ========
+//
+// Keeps the nodes ordered by the value of a property:
+//
+//     var index = graph.addIndex("paragraphs", {kind: "sorted", types: ["paragraph"], property: "position"});
+//     index.list();
+//     index.range({gte: 10, lt: 20});
+//
+// Nodes with equal values are ordered by id. Nodes without a value are not indexed.
+
+var SortedIndex = function(graph, options) {
+  if (!options || !options.property) {
+    throw new GraphError("A sorted index needs a property.");
+  }
+  Index.call(this, graph, options);
+};
+
+var _comparable = function(value) {
+  return (value instanceof Date) ? value.getTime() : value;
+};
+
+var _compare = function(a, b) {
+  if (a.key < b.key) return -1;
+  if (a.key > b.key) return 1;
+  if (a.id === undefined || b.id === undefined || a.id === b.id) return 0;
+  return (a.id < b.id) ? -1 : 1;
+};
+
+SortedIndex.Prototype = function() {
+
+  var __super__ = Index.prototype;
+
+  // Returns the position of the first entry which is not less than a given entry
+  var _lowerBound = function(entries, entry) {
+    var low = 0;
+    var high = entries.length;
+    while (low < high) {
+      var mid = (low + high) >> 1;
+      if (_compare(entries[mid], entry) < 0) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  // Returns the position of the first entry which is greater than a given entry
+  var _upperBound = function(entries, entry) {
+    var low = 0;
+    var high = entries.length;
+    while (low < high) {
+      var mid = (low + high) >> 1;
+      if (_compare(entries[mid], entry) <= 0) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  this._keyOf = function(node) {
+    if (this.filter && !this.filter(node)) return undefined;
+    var value = node[this.property];
+    return (value === undefined || value === null) ? undefined : _comparable(value);
+  };
+
+  this._add = function(node) {
+    var key = this._keyOf(node);
+    if (key === undefined) return;
+
+    var entry = { key: key, id: node.id };
+    this.entries.splice(_lowerBound(this.entries, entry), 0, entry);
+    this.nodes[node.id] = node.id;
+    this.keys[node.id] = entry.key;
+  };
+
+  this._remove = function(node) {
+    if (!_.has(this.keys, node.id)) return;
+    var entry = { key: this.keys[node.id], id: node.id };
+    var pos = _lowerBound(this.entries, entry);
+    if (pos < this.entries.length && this.entries[pos].id === node.id) {
+      this.entries.splice(pos, 1);
+    }
+    delete this.nodes[node.id];
+    delete this.keys[node.id];
+  };
+
+  // Collects all nodes with a given value (default: all indexed nodes)
+  // --------
+  //
+
+  this.get = function(value) {
+    var entries = (arguments.length === 0) ? this.entries : this._range({ gte: value, lte: value });
+    var result = new Index.Result();
+    _.each(entries, function(entry) {
+      result[entry.id] = this.graph.get(entry.id);
+    }, this);
+    return result;
+  };
+
+  // Returns the nodes within a range of values in order
+  // --------
+  //
+  // - bounds: `gt`, `gte`, `lt` and `lte`, all optional
+  // - options: `reverse` for descending order, `limit` for the maximum number of nodes
+  //
+  //     index.range({gt: 10, lte: 20}, {reverse: true, limit: 5});
+
+  this.range = function(bounds, options) {
+    options = options || {};
+    var entries = this._range(bounds || {});
+    if (options.reverse) entries.reverse();
+    if (options.limit !== undefined) entries = entries.slice(0, options.limit);
+    return _.map(entries, function(entry) {
+      return this.graph.get(entry.id);
+    }, this);
+  };
+
+  this._range = function(bounds) {
+    var start = 0;
+    var end = this.entries.length;
+    if (bounds.gte !== undefined) {
+      start = Math.max(start, _lowerBound(this.entries, { key: _comparable(bounds.gte) }));
+    }
+    if (bounds.gt !== undefined) {
+      start = Math.max(start, _upperBound(this.entries, { key: _comparable(bounds.gt) }));
+    }
+    if (bounds.lte !== undefined) {
+      end = Math.min(end, _upperBound(this.entries, { key: _comparable(bounds.lte) }));
+    }
+    if (bounds.lt !== undefined) {
+      end = Math.min(end, _lowerBound(this.entries, { key: _comparable(bounds.lt) }));
+    }
+    return this.entries.slice(start, Math.max(start, end));
+  };
+
+  // Observed scopes are given as `[value]`
+  this._inScope = function(key, path) {
+    return !path || key === _comparable(path[0]);
+  };
+
+  // Returns all indexed nodes in order
+  this.list = function() {
+    return this.range();
+  };
+
+  // Iterates over all indexed nodes in order
+  this.each = function(fn, ctx) {
+    _.each(this.list(), fn, ctx);
+  };
+
+  this.reset = function() {
+    __super__.reset.call(this);
+    // [{key: value, id: id}] ordered by value and id
+    this.entries = [];
+  };
+};
+
+SortedIndex.Prototype.prototype = Index.prototype;
+SortedIndex.prototype = new SortedIndex.Prototype();
+
+module.exports = SortedIndex;
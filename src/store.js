@@ -0,0 +1,68 @@
+"use strict";
+
+var _ = require("underscore");
+var util = require("substance-util");
+var Operation = require("./operation");
+
+// Data.Store
+// ========
+//
+// The interface of storage adapters used for persisting graphs.
+//
+// A store keeps a snapshot (as produced by `Graph.toJSON()`) and a journal of
+// operations which have been applied after the snapshot has been taken.
+// All methods take node-style callbacks:
+//
+// - load(cb): provides `{snapshot: ..., ops: [...]}`; `snapshot` is null for an empty store
+// - save(snapshot, cb): replaces the snapshot and clears the journal
+// - appendOps(ops, cb): appends operations to the journal
+// - compact(cb): folds the journal into the snapshot
+
+var Store = function() {};
+
+Store.Prototype = function() {
+
+  this.load = function(cb) {
+    cb(new Error("Not implemented."));
+  };
+
+  this.save = function(snapshot, cb) {
+    cb(new Error("Not implemented."));
+  };
+
+  this.appendOps = function(ops, cb) {
+    cb(new Error("Not implemented."));
+  };
+
+  // Folds the journal into the snapshot
+  // --------
+  //
+  // The default implementation replays the journal on the stored snapshot and
+  // saves the result.
+
+  this.compact = function(cb) {
+    var self = this;
+    this.load(function(err, data) {
+      if (err) return cb(err);
+      if (!data.snapshot || data.ops.length === 0) return cb(null);
+      self.save(Store.replay(data.snapshot, data.ops), cb);
+    });
+  };
+};
+
+Store.prototype = new Store.Prototype();
+
+// Applies journaled operations to a snapshot
+// --------
+//
+// Returns a new snapshot; the given one is left untouched.
+
+Store.replay = function(snapshot, ops) {
+  var result = _.extend({}, snapshot, { nodes: util.deepclone(snapshot.nodes) });
+  _.each(ops, function(op) {
+    Operation.apply(result.nodes, op);
+  });
+  return result;
+};
+
+module.exports = Store;
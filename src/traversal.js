@@ -0,0 +1,146 @@
+"use strict";
+
+var _ = require("underscore");
+var GraphError = require("./errors").GraphError;
+
+// Data.Traversal
+// ========
+//
+// Walks a graph along the references declared by the schema, i.e., along
+// properties with a node type or a composite type of node types.
+//
+// Options:
+// - direction: "outgoing" (default) follows references held by a node,
+//   "incoming" follows references to a node, "both" follows both
+// - types: a list of types; only nodes which are instances of one of them are
+//   visited (the start node is always visited)
+// - maxDepth: the maximum distance from the start node (default: unlimited)
+// - order: "bfs" (default) visits nodes breadth-first, "dfs" depth-first
+// - visit: a function `(node, depth)` called for every visited node;
+//   returning false skips the node's neighbours
+
+var DIRECTIONS = ["outgoing", "incoming", "both"];
+
+var _options = function(options) {
+  options = _.extend({ direction: "outgoing", maxDepth: Infinity, order: "bfs" }, options);
+  if (DIRECTIONS.indexOf(options.direction) < 0) {
+    throw new GraphError("Unknown traversal direction: " + options.direction);
+  }
+  if (options.order !== "bfs" && options.order !== "dfs") {
+    throw new GraphError("Unknown traversal order: " + options.order);
+  }
+  return options;
+};
+
+var _start = function(graph, id) {
+  var node = graph.get(id);
+  if (!node) {
+    throw new GraphError("Could not traverse graph: node " + id + " does not exist.");
+  }
+  return node;
+};
+
+// Returns the nodes adjacent to a given node
+var neighbours = function(graph, id, options) {
+  var ids = [];
+  if (options.direction !== "incoming") {
+    _.each(graph.references.outgoing[id], function(targets) {
+      ids = ids.concat(targets);
+    });
+  }
+  if (options.direction !== "outgoing") {
+    ids = ids.concat(graph.references.referrers(id));
+  }
+
+  var result = [];
+  _.each(_.uniq(ids), function(other) {
+    var node = graph.get(other);
+    if (!node) return;
+    if (options.types && !_.some(options.types, function(type) {
+      return graph.schema.isInstanceOf(node.type, type);
+    })) return;
+    result.push(node);
+  });
+  return result;
+};
+
+// Visits all nodes reachable from a given node
+// --------
+//
+// Returns the visited nodes in the order they have been visited.
+
+var traverse = function(graph, startId, options) {
+  options = _options(options);
+
+  var result = [];
+  var visited = {};
+  var bfs = (options.order === "bfs");
+  // BFS takes entries from the front and marks nodes when they are found,
+  // DFS takes entries from the back and marks nodes when they are reached
+  var pending = [{ node: _start(graph, startId), depth: 0 }];
+  if (bfs) visited[startId] = true;
+
+  while (pending.length > 0) {
+    var entry = bfs ? pending.shift() : pending.pop();
+    if (!bfs) {
+      if (visited[entry.node.id]) continue;
+      visited[entry.node.id] = true;
+    }
+
+    result.push(entry.node);
+    var proceed = options.visit ? options.visit(entry.node, entry.depth) : true;
+    if (proceed === false || entry.depth >= options.maxDepth) continue;
+
+    var next = neighbours(graph, entry.node.id, options);
+    if (!bfs) next.reverse();
+    _.each(next, function(node) {
+      if (visited[node.id]) return;
+      if (bfs) visited[node.id] = true;
+      pending.push({ node: node, depth: entry.depth + 1 });
+    });
+  }
+
+  return result;
+};
+
+// Finds a shortest path between two nodes
+// --------
+//
+// Returns the nodes on the path including both ends, or null if there is none.
+// Supports the options `direction`, `types` and `maxDepth`.
+
+var shortestPath = function(graph, fromId, toId, options) {
+  options = _options(_.omit(options || {}, "visit", "order"));
+  _start(graph, fromId);
+  _start(graph, toId);
+
+  var previous = {};
+  previous[fromId] = null;
+  var pending = [{ id: fromId, depth: 0 }];
+
+  while (pending.length > 0) {
+    var entry = pending.shift();
+    if (entry.id === toId) {
+      var path = [];
+      for (var id = toId; id !== null; id = previous[id]) {
+        path.unshift(graph.get(id));
+      }
+      return path;
+    }
+    if (entry.depth >= options.maxDepth) continue;
+
+    _.each(neighbours(graph, entry.id, options), function(node) {
+      if (_.has(previous, node.id)) return;
+      previous[node.id] = entry.id;
+      pending.push({ id: node.id, depth: entry.depth + 1 });
+    });
+  }
+
+  return null;
+};
+
+module.exports = {
+  neighbours: neighbours,
+  traverse: traverse,
+  shortestPath: shortestPath
+};
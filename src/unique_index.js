@@ -0,0 +1,150 @@
+"use strict";
+
+var _ = require("underscore");
+var Index = require("./graph_index");
+var GraphError = require("./errors").GraphError;
+
+// Data.UniqueIndex
+// ========
+//
+// Maps the values of a property to the nodes holding them:
+//
+//     var index = graph.addIndex("slugs", {kind: "unique", types: ["article"], property: "slug"});
+//     index.lookup("hello-world");
+//
+// Two indexed nodes must not have the same value. Changes which would
+// introduce a duplicate are rejected with a GraphError.
+// Nodes without a value are not indexed. Values of different types are
+// distinct, e.g., `1` and `"1"`, except that dates equal their JSON strings.
+
+var UniqueIndex = function(graph, options) {
+  if (!options || !options.property) {
+    throw new GraphError("A unique index needs a property.");
+  }
+  Index.call(this, graph, options);
+};
+
+UniqueIndex.Prototype = function() {
+
+  var __super__ = Index.prototype;
+
+  // Values are stored with their type, so that `1` and `"1"` do not collide
+  var _encode = function(value) {
+    if (value instanceof Date) value = value.toJSON();
+    return typeof value + ":" + value;
+  };
+
+  // Returns the key a node is indexed with or undefined if it is not indexed
+  this._value = function(node) {
+    if (!node || (this.filter && !this.filter(node))) return undefined;
+    var value = node[this.property];
+    if (value === null || value === undefined) return undefined;
+    return _encode(value);
+  };
+
+  this._keyOf = function(node) {
+    return this._value(node);
+  };
+
+  var _duplicate = function(index, node, id) {
+    return new GraphError("Duplicate value for unique property " + index.property + ": " +
+      JSON.stringify(node[index.property]) + " is used by " + id + (node.id !== id ? " and " + node.id : ""));
+  };
+
+  this._add = function(node) {
+    var value = this._value(node);
+    if (value === undefined) return;
+    // Within a change set nodes may swap values, so the last one wins
+    this.values[value] = node.id;
+    this.nodes[node.id] = node.id;
+    this.keys[node.id] = value;
+  };
+
+  this._remove = function(node) {
+    if (!_.has(this.keys, node.id)) return;
+    var value = this.keys[node.id];
+    if (this.values[value] === node.id) {
+      delete this.values[value];
+    }
+    delete this.nodes[node.id];
+    delete this.keys[node.id];
+  };
+
+  // Rejects an applied operation which introduces a duplicate value
+  // --------
+  //
+  // Called by the graph after the nodes have been changed but before the
+  // operation is recorded. Within transactions nodes changed by staged
+  // operations are checked too, as the index is updated on commit only.
+
+  this.check = function(op) {
+    if (op.type === "delete") return;
+    var node = this.graph.get(op.path[0]);
+    var value = this._value(node);
+    if (value === undefined) return;
+
+    var candidates = [this.values[value]];
+    _.each(this.graph.__transaction__, function(staged) {
+      candidates.push(staged.path[0]);
+    });
+
+    _.each(candidates, function(id) {
+      if (id && id !== node.id && this._value(this.graph.get(id)) === value) {
+        throw _duplicate(this, node, id);
+      }
+    }, this);
+  };
+
+  // Throws on duplicate values without changing the index
+  this._checkDuplicates = function() {
+    var values = Object.create(null);
+    _.each(this.graph.nodes, function(node) {
+      var value = this._value(node);
+      if (value === undefined) return;
+      if (values[value]) throw _duplicate(this, node, values[value]);
+      values[value] = node.id;
+    }, this);
+  };
+
+  this.createIndex = function() {
+    this._checkDuplicates();
+    __super__.createIndex.call(this);
+  };
+
+  this.rebuild = function() {
+    this._checkDuplicates();
+    __super__.rebuild.call(this);
+  };
+
+  // Observed scopes are given as `[value]`
+  this._inScope = function(key, path) {
+    if (!path) return true;
+    return key === _encode(path[0]);
+  };
+
+  // Returns the node with a given value
+  this.lookup = function(value) {
+    var id = this.values[_encode(value)];
+    return id ? this.graph.get(id) : undefined;
+  };
+
+  // Collects the node with a given value (default: all indexed nodes)
+  this.get = function(value) {
+    if (arguments.length === 0) return __super__.get.call(this);
+    var result = new Index.Result();
+    var node = this.lookup(value);
+    if (node) result[node.id] = node;
+    return result;
+  };
+
+  this.reset = function() {
+    __super__.reset.call(this);
+    // value -> id, without prototype so that values like "constructor" can be indexed
+    this.values = Object.create(null);
+  };
+};
+
+UniqueIndex.Prototype.prototype = Index.prototype;
+UniqueIndex.prototype = new UniqueIndex.Prototype();
+
+module.exports = UniqueIndex;
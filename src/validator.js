@@ -0,0 +1,290 @@
+"use strict";
+
+var _ = require("underscore");
+var GraphError = require("./errors").GraphError;
+
+// Data.Validator
+// ========
+//
+// Checks nodes and property values against the schema of a graph.
+//
+// The validator does not throw. Instead, every problem is collected as an
+// issue `{path: [...], message: "..."}` so that all offending paths can be
+// reported at once.
+
+var Validator = function(graph) {
+  this.graph = graph;
+  this.schema = graph.schema;
+};
+
+Validator.Prototype = function() {
+
+  var _issue = function(issues, path, message) {
+    issues.push({
+      path: path,
+      message: message
+    });
+  };
+
+  // Parses a node
+  // --------
+  //
+  // Returns a new node which contains only the properties specified in the
+  // schema, with values parsed using `Schema.parseValue`.
+  // Detected problems are appended to `issues`.
+
+  this.parseNode = function(node, issues) {
+    if (!_.isObject(node)) {
+      _issue(issues, [], "Illegal argument: node must be an object.");
+      return null;
+    }
+
+    var id = node.id;
+    if (!_.isString(id) || id.length === 0) {
+      _issue(issues, ["id"], "Missing node id.");
+      id = "?";
+    }
+
+    if (!node.type) {
+      _issue(issues, [id, "type"], "Missing node type.");
+      return null;
+    }
+    if (!this.schema.isNodeType(node.type)) {
+      _issue(issues, [id, "type"], "Unknown node type: " + node.type);
+      return null;
+    }
+
+    var result = {
+      id: node.id,
+      type: node.type
+    };
+
+    var specs = this.schema.propertySpecs(node.type);
+    var required = this.schema.requiredProperties(node.type);
+
+    var values = _.clone(node);
+    _.each(specs, function(spec, name) {
+      if (values[name] === undefined && _.has(spec, "default")) {
+        values[name] = this.schema.defaultValue(node.type, name);
+      }
+    }, this);
+
+    _.each(required, function(name) {
+      if (values[name] === undefined || values[name] === null) {
+        _issue(issues, [id, name], "Missing required property.");
+      }
+    });
+
+    _.each(specs, function(spec, name) {
+      if (values[name] !== undefined) {
+        result[name] = this.parseValue([id, name], spec, values[name], issues);
+      }
+    }, this);
+
+    return result;
+  };
+
+  // Parses a property value
+  // --------
+  //
+  // Values of value types are parsed using `Schema.parseValue`.
+  // Values of node types are references and must be ids of existing nodes
+  // which are instances of the given type.
+  // Elements of composite types (e.g., `["array", "number"]`, `["map", "fruit"]`)
+  // are checked recursively.
+  // Given a property specification (see `Schema.propertySpecs`) instead of a
+  // type, its constraints are checked as well.
+
+  this.parseValue = function(path, type, value, issues) {
+    if (_.isObject(type) && !_.isArray(type)) {
+      return this.parseConstrained(path, type, value, issues);
+    }
+
+    // Untyped values, e.g., keys within `object` values, are taken as they are
+    if (type === undefined || value === null || value === undefined) {
+      return value;
+    }
+
+    var baseType = _.isArray(type) ? type[0] : type;
+
+    if (this.schema.isNodeType(baseType)) {
+      this.checkReference(path, baseType, value, issues);
+      return value;
+    }
+
+    var result;
+    try {
+      result = this.schema.parseValue(baseType, value);
+    } catch (err) {
+      _issue(issues, path, err.message);
+      return value;
+    }
+
+    if ((baseType === "number" || baseType === "float") && _.isNaN(result)) {
+      _issue(issues, path, "Illegal value type: expected number.");
+    } else if (baseType === "date" && _.isNaN(result.getTime())) {
+      _issue(issues, path, "Illegal value type: expected date.");
+    } else if (this.schema.elementType(type) !== undefined) {
+      // elements of arrays and sets, values of maps
+      _.each(_.keys(result), function(key) {
+        var idx = _.isArray(result) ? parseInt(key, 10) : key;
+        result[idx] = this.parseValue(path.concat([idx]), this.schema.elementType(type), result[idx], issues);
+      }, this);
+    }
+
+    return result;
+  };
+
+  // Parses a value of a property specification and checks its constraints
+  // --------
+  //
+
+  this.parseConstrained = function(path, spec, value, issues) {
+    if (value === null) {
+      if (spec.nullable === false) {
+        _issue(issues, path, "Property must not be null.");
+      }
+      return value;
+    }
+
+    var count = issues.length;
+    var result = this.parseValue(path, spec.type, value, issues);
+    // Constraints are only checked for values of the right type
+    if (value === undefined || issues.length > count) return result;
+
+    // Bounds of dates may be given as dates, strings or timestamps
+    var isDate = _.isDate(result);
+    var comparable = isDate ? result.getTime() : result;
+    var bound = function(limit) {
+      return isDate ? new Date(limit).getTime() : limit;
+    };
+
+    if (spec["enum"] && !_.some(spec["enum"], function(candidate) { return _.isEqual(candidate, result); })) {
+      _issue(issues, path, "Illegal value: expected one of " + spec["enum"].join(", ") + ".");
+    }
+    if (spec.min !== undefined && comparable < bound(spec.min)) {
+      _issue(issues, path, "Illegal value: must be at least " + spec.min + ".");
+    }
+    if (spec.max !== undefined && comparable > bound(spec.max)) {
+      _issue(issues, path, "Illegal value: must be at most " + spec.max + ".");
+    }
+    if (spec.pattern !== undefined && _.isString(result) && !new RegExp(spec.pattern).test(result)) {
+      _issue(issues, path, "Illegal value: does not match " + spec.pattern + ".");
+    }
+
+    return result;
+  };
+
+  // Parses a diff for updating a property value
+  // --------
+  //
+  // Checks that the diff can be applied to the current value and completes it,
+  // so that the resulting update operation can be inverted:
+  // deletes get the deleted element or text, key updates the original value.
+  // Strings can be deleted by `length` instead of `text`.
+
+  this.parseDiff = function(path, type, value, diff, issues) {
+    var result = _.clone(diff);
+    var length = (_.isString(value) || _.isArray(value)) ? value.length : 0;
+    var isText = _.isString(value);
+
+    var checkPos = function(pos, max) {
+      if (!_.isNumber(pos) || pos < 0 || pos > max || Math.floor(pos) !== pos) {
+        _issue(issues, path, "Illegal position: " + pos);
+        return false;
+      }
+      return true;
+    };
+
+    var elementType = this.schema.elementType(type);
+
+    if (diff.type === "key") {
+      if (!_.isObject(value) || _.isArray(value)) {
+        _issue(issues, path, "Illegal update: expected object value.");
+      } else {
+        result.original = value[diff.key];
+        if (diff.val !== undefined) {
+          result.val = this.parseValue(path.concat([diff.key]), elementType, diff.val, issues);
+        }
+      }
+    }
+    else if (!isText && !_.isArray(value)) {
+      _issue(issues, path, "Illegal update: expected array or string value.");
+    }
+    else if (diff.type === "insert") {
+      if (!checkPos(diff.pos, length)) return result;
+      if (isText) {
+        if (!_.isString(diff.text)) _issue(issues, path, "Illegal value type: expected string.");
+      } else {
+        result.val = this.parseValue(path.concat([diff.pos]), elementType, diff.val, issues);
+        if (_.isArray(type) && type[0] === "set" && _.some(value, function(item) { return _.isEqual(item, result.val); })) {
+          _issue(issues, path, "Illegal insert: sets must not contain duplicates.");
+        }
+      }
+    }
+    else if (diff.type === "delete") {
+      if (isText) {
+        var count = (diff.text !== undefined) ? diff.text.length : diff.length;
+        if (!checkPos(diff.pos, length) || !checkPos(diff.pos + count, length)) return result;
+        result.text = value.substr(diff.pos, count);
+        if (diff.text !== undefined && diff.text !== result.text) {
+          _issue(issues, path, "Illegal delete: text does not match.");
+        }
+        delete result.length;
+      } else {
+        if (!checkPos(diff.pos, length - 1)) return result;
+        result.val = value[diff.pos];
+      }
+    }
+    else if (diff.type === "move" && !isText) {
+      checkPos(diff.pos, length - 1);
+      checkPos(diff.target, length - 1);
+    }
+    else {
+      _issue(issues, path, "Unsupported diff type: " + diff.type);
+    }
+
+    return result;
+  };
+
+  // Checks that a value references an existing node of a given type
+  // --------
+  //
+
+  this.checkReference = function(path, type, value, issues) {
+    if (!_.isString(value)) {
+      _issue(issues, path, "Illegal reference: expected node id.");
+      return;
+    }
+    var target = this.graph.get(value);
+    if (!target) {
+      _issue(issues, path, "Dangling reference: node " + value + " does not exist.");
+    } else if (!this.schema.isInstanceOf(target.type, type)) {
+      _issue(issues, path, "Illegal reference: expected " + type + " but " + value + " is a " + target.type + ".");
+    }
+  };
+};
+
+Validator.prototype = new Validator.Prototype();
+
+// Creates a human readable summary for a list of issues
+// --------
+//
+
+Validator.describe = function(issues) {
+  return _.map(issues, function(issue) {
+    return "  - " + issue.path.join(".") + ": " + issue.message;
+  }).join("\n");
+};
+
+// Creates a GraphError which lists all given issues (`err.issues`)
+// --------
+//
+
+Validator.error = function(message, issues) {
+  var err = new GraphError(message + "\n" + Validator.describe(issues));
+  err.issues = issues;
+  return err;
+};
+
+module.exports = Validator;
@@ -0,0 +1,203 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    tree: {
+      properties: {
+        name: { type: "string", required: true }
+      }
+    },
+    fruit: {
+      properties: {
+        name: "string",
+        weight: "number",
+        color: { type: "string", "default": "green" },
+        tree: "tree"
+      }
+    },
+    basket: {
+      properties: {
+        fruits: ["array", "fruit"],
+        rows: ["array", "array", "fruit"]
+      }
+    }
+  }
+};
+
+// A legacy document with all kinds of corruption
+var SEED = {
+  schema: ["fruits", "1.0.0"],
+  nodes: {
+    "apple-tree": { id: "apple-tree", type: "tree", name: "Apple tree" },
+    "apple": { id: "apple", type: "fruit", name: "Apple", weight: "heavy", tree: "apple-tree", size: "big" },
+    "pear": { id: "pear", type: "fruit", name: "Pear", tree: "pear-tree", color: 12 },
+    "basket": { id: "basket", type: "basket", fruits: ["apple", "lemon"], rows: [["pear"], ["apple", "apple-tree"]] },
+    "stump": { id: "stump", type: "tree" },
+    "ufo": { id: "ufo", type: "spaceship" }
+  }
+};
+
+var CheckerTest = function() {
+
+  this.setup = function() {
+    this.graph = new Data.Graph(SCHEMA, { seed: _.clone(SEED) });
+  };
+
+  var describe = function(issues) {
+    return _.map(issues, function(issue) {
+      return issue.kind + ":" + issue.path.join(".");
+    }).sort();
+  };
+
+  this.actions = [
+
+    "An intact graph has no issues", function() {
+      var graph = new Data.Graph(SCHEMA);
+      graph.create({ id: "apple-tree", type: "tree", name: "Apple tree" });
+      graph.create({ id: "apple", type: "fruit", name: "Apple", tree: "apple-tree" });
+      assert.isArrayEqual([], graph.check());
+    },
+
+    "Report all kinds of node issues", function() {
+      assert.isArrayEqual([
+        "property:apple.size",
+        "reference:basket.fruits.1",
+        "reference:basket.rows.1.1",
+        "reference:pear.tree",
+        "type:ufo.type",
+        "value:apple.weight",
+        "value:pear.color",
+        "value:stump.name"
+      ], describe(this.graph.check()));
+    },
+
+    "Dangling references have a target", function() {
+      var issues = _.filter(this.graph.check(), function(issue) { return issue.kind === "reference"; });
+      assert.isArrayEqual(["apple-tree", "lemon", "pear-tree"], _.pluck(issues, "target").sort());
+    },
+
+    "Report drifted indexes", function() {
+      var graph = new Data.Graph(SCHEMA);
+      graph.create({ id: "apple-tree", type: "tree", name: "Apple tree" });
+      graph.create({ id: "apple", type: "fruit", name: "Apple", weight: 100 });
+      graph.addIndex("by_weight", { kind: "sorted", types: ["fruit"], property: "weight" });
+
+      // changing nodes directly bypasses the indexes
+      graph.get("apple").weight = 200;
+      graph.get("apple").tree = "apple-tree";
+
+      var issues = graph.check();
+      assert.isArrayEqual(["index:apple", "index:apple"], describe(issues));
+      assert.isArrayEqual(["by_weight", "references"], _.pluck(issues, "index").sort());
+    },
+
+    "Repair a graph", function() {
+      var report = this.graph.repair();
+
+      // a required property without default value can not be repaired
+      assert.isArrayEqual(["value:stump.name"], describe(report.remaining));
+      assert.isArrayEqual(describe(report.remaining), describe(this.graph.check()));
+
+      assert.isUndefined(this.graph.get("ufo"));
+      assert.isUndefined(this.graph.get("apple").size);
+      assert.isUndefined(this.graph.get("apple").weight);
+      assert.isEqual("green", this.graph.get("pear").color);
+      assert.isNull(this.graph.get("pear").tree);
+      assert.isArrayEqual(["apple"], this.graph.get("basket").fruits);
+      assert.isArrayEqual([["pear"], ["apple"]], this.graph.get("basket").rows);
+
+      var actions = _.map(report.repaired, function(issue) {
+        return issue.action + ":" + issue.path.join(".");
+      }).sort();
+      assert.isArrayEqual([
+        "default:pear.color",
+        "delete:ufo.type",
+        "nullify:basket.fruits.1",
+        "nullify:basket.rows.1.1",
+        "nullify:pear.tree",
+        "remove:apple.size",
+        "remove:apple.weight"
+      ], actions);
+
+      // the graph is consistent again
+      assert.isArrayEqual(["basket"], _.pluck(this.graph.referrers("pear"), "id"));
+      this.graph.delete("pear", "nullify");
+      assert.isArrayEqual([[], ["apple"]], this.graph.get("basket").rows);
+    },
+
+    "Repair with cascading deletes", function() {
+      var report = this.graph.repair({ reference: "cascade", value: "keep" });
+
+      assert.isUndefined(this.graph.get("pear"));
+      assert.isUndefined(this.graph.get("basket"));
+      assert.isDefined(this.graph.get("apple"));
+      assert.isArrayEqual(["value:apple.weight", "value:stump.name"], describe(report.remaining));
+    },
+
+    "Repairs are undone as one step", function() {
+      var before = this.graph.toJSON();
+      this.graph.repair({ reference: "cascade" });
+      assert.isUndefined(this.graph.get("basket"));
+
+      assert.isTrue(this.graph.undo());
+      assert.isDeepEqual(before, this.graph.toJSON());
+      assert.isEqual(8, this.graph.check().length);
+
+      this.graph.redo();
+      assert.isArrayEqual(["value:stump.name"], describe(this.graph.check()));
+    },
+
+    "Repairs are journaled", function() {
+      var store = new Data.Graph.MemoryStore();
+      var graph = new Data.Graph(SCHEMA, { seed: _.clone(SEED), store: store });
+      graph.repair();
+
+      var loaded = new Data.Graph(SCHEMA, { seed: _.clone(SEED), store: store, load: true });
+      assert.isDeepEqual(graph.toJSON(), loaded.toJSON());
+      assert.isArrayEqual(["value:stump.name"], describe(loaded.check()));
+    },
+
+    "Repair keeps snapshots intact", function() {
+      var snapshot = this.graph.snapshot();
+      this.graph.repair();
+      assert.isEqual("big", snapshot.nodes.apple.size);
+      assert.isDefined(snapshot.nodes.ufo);
+    },
+
+    "Repair rebuilds drifted indexes", function() {
+      var graph = new Data.Graph(SCHEMA);
+      graph.create({ id: "apple", type: "fruit", name: "Apple", weight: 100 });
+      var index = graph.addIndex("by_weight", { kind: "sorted", types: ["fruit"], property: "weight" });
+      graph.get("apple").weight = 200;
+
+      var report = graph.repair();
+      assert.isArrayEqual(["rebuild"], _.pluck(report.repaired, "action"));
+      assert.isArrayEqual([], report.remaining);
+      assert.isArrayEqual(["apple"], _.pluck(index.range({ gt: 150 }), "id"));
+    },
+
+    "Unknown repair actions are rejected", function() {
+      assert.exception(Data.Graph.GraphError, function() {
+        this.graph.repair({ reference: "ignore" });
+      }.bind(this));
+      assert.isDefined(this.graph.get("ufo"));
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Checker'], new CheckerTest());
@@ -0,0 +1,158 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    fruit: {
+      properties: {
+        name: "string",
+        color: "string"
+      }
+    }
+  }
+};
+
+var ChronicleTest = function() {
+
+  this.setup = function() {
+    var graph = this.graph = new Data.Graph(SCHEMA);
+    graph.create({ id: "apple", type: "fruit", name: "Apple", color: "red" });
+    this.v1 = graph.commit("Added an apple");
+    graph.set(["apple", "color"], "green");
+    graph.create({ id: "pear", type: "fruit", name: "Pear" });
+    this.v2 = graph.commit("Added a pear");
+  };
+
+  this.actions = [
+
+    "Commit and checkout", function() {
+      var graph = this.graph;
+      graph.checkout(this.v1);
+      assert.isEqual("red", graph.get("apple", "color"));
+      assert.isFalse(graph.contains("pear"));
+
+      graph.checkout(Data.Graph.Chronicle.ROOT);
+      assert.isFalse(graph.contains("apple"));
+
+      graph.checkout("master");
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.isTrue(graph.contains("pear"));
+
+      assert.isArrayEqual(["Added a pear", "Added an apple"], _.pluck(graph.chronicle.log(), "message"));
+    },
+
+    "Uncommitted changes prevent checkout", function() {
+      var graph = this.graph;
+      var v1 = this.v1;
+      graph.set(["apple", "color"], "yellow");
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.checkout(v1);
+      });
+    },
+
+    "Branches and tags", function() {
+      var graph = this.graph;
+      var chronicle = graph.chronicle;
+      chronicle.tag("first", this.v1);
+      chronicle.createBranch("yellow", "first");
+
+      graph.checkout("yellow");
+      graph.set(["apple", "color"], "yellow");
+      var v3 = graph.commit("Made the apple yellow");
+      assert.isEqual(v3, chronicle.branches.yellow);
+      assert.isEqual(this.v2, chronicle.branches.master);
+
+      graph.checkout("master");
+      assert.isEqual("green", graph.get("apple", "color"));
+      graph.checkout("yellow");
+      assert.isEqual("yellow", graph.get("apple", "color"));
+      assert.isFalse(graph.contains("pear"));
+    },
+
+    "Diff between versions", function() {
+      var chronicle = this.graph.chronicle;
+      var ops = chronicle.diff(this.v2, this.v1);
+      assert.isArrayEqual(["delete", "set"], _.pluck(ops, "type"));
+
+      var graph = new Data.Graph(SCHEMA);
+      graph.apply(chronicle.diff(Data.Graph.Chronicle.ROOT, this.v2));
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.isTrue(graph.contains("pear"));
+    },
+
+    "Diff to an older version", function() {
+      var ops = this.graph.chronicle.diff(Data.Graph.Chronicle.ROOT, this.v1);
+      assert.isEqual(1, ops.length);
+      assert.isEqual("red", ops[0].val.color);
+
+      var graph = new Data.Graph(SCHEMA);
+      graph.apply(ops);
+      assert.isEqual("red", graph.get("apple", "color"));
+    },
+
+    "Versions are kept on reset", function() {
+      var graph = this.graph;
+      graph.set(["apple", "color"], "yellow");
+      graph.reset();
+      assert.isFalse(graph.chronicle.isDirty());
+      assert.isNull(graph.chronicle.branch);
+
+      graph.checkout(this.v1);
+      assert.isEqual("red", graph.get("apple", "color"));
+      graph.checkout("master");
+      assert.isEqual("green", graph.get("apple", "color"));
+    },
+
+    "Versions are kept on load", function() {
+      var graph = new Data.Graph(SCHEMA, { store: new Data.Graph.MemoryStore() });
+      graph.create({ id: "apple", type: "fruit", name: "Apple", color: "red" });
+      var v1 = graph.commit("Added an apple");
+      graph.set(["apple", "color"], "green");
+      graph.commit("Made the apple green");
+
+      graph.load();
+      assert.isEqual("green", graph.get("apple", "color"));
+      graph.checkout(v1);
+      assert.isEqual("red", graph.get("apple", "color"));
+
+      // the loaded state is the initial state
+      graph.set(["apple", "color"], "yellow");
+      graph.commit("Made the apple yellow");
+      graph.reset();
+      graph.checkout(v1);
+      assert.isEqual("red", graph.get("apple", "color"));
+    },
+
+    "Restore a version", function() {
+      var graph = this.graph;
+      graph.set(["apple", "name"], "Green Apple");
+      graph.chronicle.restore(this.v1);
+      assert.isEqual("Apple", graph.get("apple", "name"));
+      assert.isEqual("red", graph.get("apple", "color"));
+      assert.isFalse(graph.contains("pear"));
+
+      graph.undo();
+      assert.isEqual("Green Apple", graph.get("apple", "name"));
+      graph.chronicle.restore(this.v1);
+      graph.commit("Restored the first version");
+      graph.checkout(this.v2);
+      assert.isTrue(graph.contains("pear"));
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Chronicle'], new ChronicleTest());
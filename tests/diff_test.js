@@ -0,0 +1,164 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    tree: {
+      properties: {
+        name: "string"
+      }
+    },
+    fruit: {
+      properties: {
+        name: "string",
+        weight: "number",
+        tree: "tree",
+        sibling: "fruit",
+        val: "object"
+      }
+    },
+    basket: {
+      properties: {
+        fruits: ["array", "fruit"],
+        sizes: ["array", "number"]
+      }
+    }
+  }
+};
+
+var DiffTest = function() {
+
+  this.setup = function() {
+    var before = this.before = new Data.Graph(SCHEMA);
+    before.create({ id: "apple-tree", type: "tree", name: "Apple tree" });
+    before.create({ id: "apple", type: "fruit", name: "Apple", tree: "apple-tree", val: { size: "big", tags: ["red"] } });
+    before.create({ id: "pear", type: "fruit", name: "Pear" });
+    before.create({ id: "basket", type: "basket", fruits: ["apple"], sizes: [1, 2, 3] });
+
+    this.after = new Data.Graph(SCHEMA, { seed: before.toJSON() });
+  };
+
+  this.actions = [
+
+    "Equal graphs have no differences", function() {
+      assert.isArrayEqual([], Data.Graph.diff(this.before, this.after));
+    },
+
+    "Created and deleted nodes", function() {
+      this.after.create({ id: "lemon", type: "fruit", name: "Lemon" });
+      this.after.delete("pear");
+
+      var ops = Data.Graph.diff(this.before, this.after);
+      assert.isArrayEqual(["create", "delete"], _.pluck(ops, "type"));
+      assert.isArrayEqual(["lemon"], ops[0].path);
+      assert.isEqual("Lemon", ops[0].val.name);
+      assert.isArrayEqual(["pear"], ops[1].path);
+      assert.isEqual("Pear", ops[1].val.name);
+    },
+
+    "Changed properties", function() {
+      this.after.set(["apple", "name"], "Green Apple");
+      this.after.set(["pear", "weight"], 120);
+
+      var ops = Data.Graph.diff(this.before, this.after);
+      assert.isArrayEqual(["set", "set"], _.pluck(ops, "type"));
+      assert.isArrayEqual(["apple", "name"], ops[0].path);
+      assert.isEqual("Green Apple", ops[0].val);
+      assert.isEqual("Apple", ops[0].original);
+      assert.isArrayEqual(["pear", "weight"], ops[1].path);
+      assert.isEqual(120, ops[1].val);
+    },
+
+    "Only changed parts of objects and arrays are set", function() {
+      this.after.set(["apple", "val"], { size: "small", tags: ["red", "green"] });
+      this.after.set(["basket", "sizes"], [1, 5, 3]);
+
+      var ops = Data.Graph.diff(this.before, this.after);
+      var paths = _.pluck(ops, "path");
+      assert.isArrayEqual(["apple", "val", "size"], paths[0]);
+      assert.isArrayEqual(["apple", "val", "tags"], paths[1]);
+      assert.isArrayEqual(["red", "green"], ops[1].val);
+      assert.isArrayEqual(["basket", "sizes", 1], paths[2]);
+      assert.isEqual(5, ops[2].val);
+    },
+
+    "Snapshots require a schema", function() {
+      this.after.set(["apple", "val"], { size: "small", tags: ["red"] });
+
+      var ops = Data.Graph.diff(this.before.toJSON(), this.after.toJSON(), SCHEMA);
+      assert.isEqual(1, ops.length);
+      assert.isArrayEqual(["apple", "val", "size"], ops[0].path);
+    },
+
+    "Snapshots without a schema are rejected", function() {
+      var before = this.before.toJSON();
+      var after = this.after.toJSON();
+      assert.exception(Data.Graph.GraphError, function() {
+        Data.Graph.diff(before, after);
+      });
+    },
+
+    "Referenced nodes are created first", function() {
+      this.after.create({ id: "lemon", type: "fruit", name: "Lemon", tree: "apple-tree" });
+      this.after.create({ id: "lemon-tree", type: "tree", name: "Lemon tree" });
+      this.after.set(["lemon", "tree"], "lemon-tree");
+
+      var ops = Data.Graph.diff(this.before, this.after);
+      assert.isArrayEqual([["lemon-tree"], ["lemon"]], _.pluck(ops, "path"));
+    },
+
+    "New nodes may reference each other", function() {
+      this.after.create({ id: "lemon", type: "fruit", name: "Lemon" });
+      this.after.create({ id: "lime", type: "fruit", name: "Lime", sibling: "lemon" });
+      this.after.set(["lemon", "sibling"], "lime");
+
+      var ops = Data.Graph.diff(this.before, this.after);
+      assert.isArrayEqual(["create", "create", "set"], _.pluck(ops, "type"));
+
+      this.before.patch(ops);
+      assert.isTrue(_.isEqual(this.after.toJSON(), this.before.toJSON()));
+      assert.isArrayEqual(["lime"], _.pluck(this.before.referrers("lemon"), "id"));
+    },
+
+    "Patch a graph", function() {
+      this.after.create({ id: "lemon", type: "fruit", name: "Lemon", weight: 80 });
+      this.after.set(["basket", "fruits"], ["apple", "lemon"]);
+      this.after.set(["basket", "sizes"], [1, 5, 3]);
+      this.after.set(["apple", "val"], { size: "small", tags: ["red", "green"], weight: 200 });
+      this.after.delete("pear");
+
+      this.before.patch(Data.Graph.diff(this.before, this.after));
+      assert.isEqual(JSON.stringify(this.after.toJSON()), JSON.stringify(this.before.toJSON()));
+
+      // a patch is undone at once
+      this.before.undo();
+      assert.isDefined(this.before.get("pear"));
+      assert.isUndefined(this.before.get("lemon"));
+      assert.isArrayEqual([1, 2, 3], this.before.get("basket").sizes);
+    },
+
+    "Patches are validated", function() {
+      var ops = [{ type: "set", path: ["basket", "sizes", 1], val: "many" }];
+      assert.exception(Data.Graph.GraphError, function() {
+        this.before.patch(ops);
+      }.bind(this));
+      assert.isArrayEqual([1, 2, 3], this.before.get("basket").sizes);
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Diff'], new DiffTest());
@@ -0,0 +1,388 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    tree: {
+      properties: {
+        name: "string"
+      }
+    },
+    fruit: {
+      required: ["name"],
+      properties: {
+        name: "string",
+        color: "string",
+        weight: "number",
+        tree: "tree",
+        val: "object"
+      }
+    },
+    basket: {
+      properties: {
+        fruits: ["array", "fruit"],
+        sizes: ["array", "number"]
+      }
+    },
+    shelf: {
+      properties: {
+        labels: ["map", "fruit"],
+        rows: ["map", "array", "fruit"],
+        colors: ["set", "string"],
+        baskets: ["set", "basket"]
+      }
+    }
+  }
+};
+
+var GraphTest = function() {
+
+  this.setup = function() {
+    this.graph = new Data.Graph(SCHEMA);
+    this.graph.create({ id: "apple-tree", type: "tree", name: "Apple tree" });
+    this.graph.create({ id: "apple", type: "fruit", name: "My Apple", color: "red", tree: "apple-tree", val: { size: "big" } });
+  };
+
+  this.actions = [
+
+    "Create takes only properties specified in the schema", function() {
+      this.graph.create({ id: "pear", type: "fruit", name: "Pear", weight: "42", flavor: "sweet" });
+      var pear = this.graph.get("pear");
+      assert.isEqual(42, pear.weight);
+      assert.isUndefined(pear.flavor);
+    },
+
+    "Create rejects duplicates and unknown types", function() {
+      var graph = this.graph;
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "apple", type: "fruit", name: "Another Apple" });
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "banana", type: "vegetable" });
+      });
+    },
+
+    "Create reports all offending paths", function() {
+      var err;
+      try {
+        this.graph.create({ id: "lemon", type: "fruit", color: 7, tree: "lemon-tree" });
+      } catch (e) {
+        err = e;
+      }
+      assert.isDefined(err);
+      var paths = err.issues.map(function(issue) { return issue.path.join("."); });
+      assert.isArrayEqual(["lemon.name", "lemon.color", "lemon.tree"], paths);
+    },
+
+    "Create checks references within arrays", function() {
+      var graph = this.graph;
+      graph.create({ id: "basket", type: "basket", fruits: ["apple"], sizes: [1, 2] });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "basket_2", type: "basket", fruits: ["apple", "orange"] });
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "basket_3", type: "basket", fruits: ["apple-tree"] });
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "basket_4", type: "basket", sizes: [1, "big"] });
+      });
+    },
+
+    "Set validates values", function() {
+      var graph = this.graph;
+      graph.set(["apple", "color"], "green");
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["apple", "color"], 7);
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["apple", "tree"], "pear-tree");
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["apple", "name"], null);
+      });
+      assert.isEqual("green", graph.get("apple", "color"));
+    },
+
+    "Update arrays, strings and objects", function() {
+      var graph = this.graph;
+      graph.create({ id: "basket", type: "basket", fruits: ["apple"], sizes: [1, 2, 3] });
+
+      graph.update(["basket", "sizes"], { type: "insert", pos: 1, val: 42 });
+      graph.update(["basket", "sizes"], { type: "delete", pos: 0 });
+      graph.update(["basket", "sizes"], { type: "move", pos: 0, target: 2 });
+      assert.isArrayEqual([2, 3, 42], graph.get("basket", "sizes"));
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.update(["basket", "sizes"], { type: "insert", pos: 0, val: "big" });
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.update(["basket", "sizes"], { type: "delete", pos: 3 });
+      });
+
+      graph.update(["apple", "name"], { type: "insert", pos: 8, text: "s" });
+      graph.update(["apple", "name"], { type: "delete", pos: 0, length: 3 });
+      assert.isEqual("Apples", graph.get("apple", "name"));
+
+      graph.update(["apple", "val"], { type: "key", key: "size", val: "small" });
+      assert.isEqual("small", graph.get("apple", "val").size);
+
+      graph.undo();
+      graph.undo();
+      graph.undo();
+      assert.isEqual("My Apple", graph.get("apple", "name"));
+      assert.isEqual("big", graph.get("apple", "val").size);
+      graph.undo();
+      graph.undo();
+      graph.undo();
+      assert.isArrayEqual([1, 2, 3], graph.get("basket", "sizes"));
+    },
+
+    "Indexes follow property changes", function() {
+      var graph = this.graph;
+      var index = graph.addIndex("by_color", { types: ["fruit"], property: "color" });
+      graph.set(["apple", "color"], "green");
+      assert.isUndefined(index.get("red").apple);
+      assert.isDefined(index.get("green").apple);
+      graph.update(["apple", "color"], { type: "insert", pos: 5, text: "ish" });
+      assert.isUndefined(index.get("green").apple);
+      assert.isDefined(index.get("greenish").apple);
+    },
+
+    "Referrers", function() {
+      var graph = this.graph;
+      graph.create({ id: "basket", type: "basket", fruits: ["apple"] });
+      assert.isArrayEqual(["apple"], _.pluck(graph.referrers("apple-tree"), "id"));
+      assert.isArrayEqual(["basket"], _.pluck(graph.referrers("apple", "fruits"), "id"));
+      assert.isArrayEqual([], graph.referrers("apple", "sizes"));
+
+      graph.set(["apple", "tree"], null);
+      assert.isArrayEqual([], graph.referrers("apple-tree"));
+      graph.undo();
+      assert.isArrayEqual(["apple"], _.pluck(graph.referrers("apple-tree"), "id"));
+      graph.delete("basket");
+      assert.isArrayEqual([], graph.referrers("apple"));
+    },
+
+    "Reference index takes any id", function() {
+      var references = this.graph.references;
+      references.addNode({ id: "constructor", type: "fruit", tree: "__proto__" });
+      references.addNode({ id: "__proto__", type: "basket", fruits: ["constructor", "toString"] });
+      assert.isArrayEqual(["constructor"], references.referrers("__proto__"));
+      assert.isArrayEqual(["tree"], references.properties("constructor", "__proto__"));
+      assert.isArrayEqual(["__proto__"], references.referrers("constructor", "fruits"));
+      assert.isArrayEqual(["__proto__"], references.referrers("toString"));
+      assert.isArrayEqual([], references.referrers("hasOwnProperty"));
+
+      references.removeNode("__proto__");
+      assert.isArrayEqual([], references.referrers("constructor"));
+      assert.isArrayEqual([], references.referrers("toString"));
+    },
+
+    "Delete policies", function() {
+      var graph = this.graph;
+      graph.create({ id: "basket", type: "basket", fruits: ["apple"] });
+
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.delete("apple-tree", "restrict");
+      });
+      assert.isTrue(graph.contains("apple-tree"));
+
+      graph.delete("apple-tree", "nullify");
+      assert.isNull(graph.get("apple", "tree"));
+      graph.undo();
+      assert.isEqual("apple-tree", graph.get("apple", "tree"));
+
+      graph.delete("apple-tree", "cascade");
+      assert.isFalse(graph.contains("apple"));
+      assert.isFalse(graph.contains("basket"));
+      graph.undo();
+      assert.isTrue(graph.contains("basket"));
+      assert.isArrayEqual(["basket"], _.pluck(graph.referrers("apple"), "id"));
+
+      graph.delete("apple", "nullify");
+      assert.isArrayEqual([], graph.get("basket", "fruits"));
+    },
+
+    "Map and set types", function() {
+      var graph = this.graph;
+      graph.create({ id: "pear", type: "fruit", name: "Pear" });
+      graph.create({ id: "basket", type: "basket", fruits: ["apple"] });
+      graph.create({ id: "shelf", type: "shelf", labels: { a: "apple", p: "pear" }, rows: { top: ["apple", "pear"] }, colors: ["red", "green"], baskets: ["basket"] });
+
+      assert.isEqual("Pear", graph.query(["shelf", "labels"]).p.name);
+      assert.isArrayEqual(["apple", "pear"], _.pluck(graph.query(["shelf", "rows"]).top, "id"));
+      assert.isArrayEqual(["basket"], _.pluck(graph.query(["shelf", "baskets"]), "id"));
+      assert.isArrayEqual(["red", "green"], graph.query(["shelf", "colors"]));
+      assert.isArrayEqual(["shelf"], _.pluck(graph.referrers("pear"), "id"));
+      assert.isArrayEqual(["shelf"], _.pluck(graph.find({ where: { "labels.name": "Pear" } }), "id"));
+
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["shelf", "labels"], { l: "lemon" });
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["shelf", "colors"], ["red", "red"]);
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["shelf", "labels"], ["apple"]);
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.update(["shelf", "colors"], { type: "insert", pos: 0, val: "green" });
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.update(["shelf", "labels"], { type: "key", key: "x", val: "nothing" });
+      });
+
+      graph.set(["shelf", "labels", "p"], "apple");
+      assert.isEqual("apple", graph.get("shelf").labels.p);
+      assert.isArrayEqual([], graph.referrers("pear", "labels"));
+
+      graph.delete("apple", "nullify");
+      assert.isDeepEqual({}, graph.get("shelf").labels);
+      assert.isDeepEqual({ top: ["pear"] }, graph.get("shelf").rows);
+    },
+
+    "Resolve paths through references", function() {
+      var graph = this.graph;
+      graph.create({ id: "basket", type: "basket", fruits: ["apple"], sizes: [1, 2] });
+
+      assert.isEqual("Apple tree", graph.get(["apple", "tree", "name"]));
+      assert.isEqual("My Apple", graph.get(["basket", "fruits", 0, "name"]));
+      assert.isEqual("Apple tree", graph.get(["basket", "fruits", "0", "tree", "name"]));
+      assert.isEqual("big", graph.get(["basket", "fruits", 0, "val", "size"]));
+      assert.isEqual("Apple tree", graph.query(["apple", "tree"]).name);
+      assert.isEqual(2, graph.get(["basket", "sizes", 1]));
+
+      var prop = graph.resolve(["basket", "fruits", 0, "tree", "name"]);
+      assert.isArrayEqual(["apple-tree", "name"], prop.path);
+      assert.isEqual("apple-tree", prop.node.id);
+
+      // changes are recorded for the referenced node
+      var ops = [];
+      graph.on("graph:op", function(op) { ops.push(op); });
+      graph.set(["apple", "tree", "name"], "Old apple tree");
+      assert.isEqual("Old apple tree", graph.get("apple-tree").name);
+      assert.isArrayEqual(["apple-tree", "name"], ops[0].path);
+      graph.update(["basket", "fruits", 0, "name"], { type: "insert", pos: 0, text: "Not " });
+      assert.isEqual("Not My Apple", graph.get("apple").name);
+      graph.undo();
+      graph.undo();
+      assert.isEqual("Apple tree", graph.get("apple-tree").name);
+    },
+
+    "Broken paths raise descriptive errors", function() {
+      var graph = this.graph;
+      graph.create({ id: "basket", type: "basket", fruits: ["apple"] });
+      graph.create({ id: "pear", type: "fruit", name: "Pear" });
+
+      var message = function(path) {
+        try {
+          graph.get(path);
+        } catch (err) {
+          assert.isTrue(err instanceof Data.Graph.GraphError);
+          return err.message;
+        }
+        return null;
+      };
+
+      assert.isTrue(/segment 0 \("lemon"\): node does not exist/.test(message(["lemon", "name"])));
+      assert.isTrue(/segment 1 \("flavor"\): unknown property of type fruit/.test(message(["apple", "flavor"])));
+      assert.isTrue(/segment 2 \(3\): index out of bounds/.test(message(["basket", "fruits", 3, "name"])));
+      assert.isTrue(/segment 1 \("tree"\): value is undefined/.test(message(["pear", "tree", "name"])));
+      assert.isTrue(/segment 2 \("length"\): value is not a container/.test(message(["apple", "name", "length"])));
+      assert.isTrue(/segment 2 \("missing"\): value is undefined/.test(message(["apple", "val", "missing", "deeper"])));
+      assert.isUndefined(graph.get(["apple", "val", "missing"]));
+
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["lemon", "name"], "Lemon");
+      });
+    },
+
+    "Ids and types can be read but not changed", function() {
+      var graph = this.graph;
+      assert.isEqual("apple", graph.get(["apple", "id"]));
+      assert.isEqual("fruit", graph.get(["apple", "type"]));
+
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["apple", "type"], "bogus");
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["apple", "id"], "pear");
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.update(["apple", "id"], { type: "insert", pos: 0, text: "green-" });
+      });
+      assert.isEqual("apple", graph.get("apple").id);
+      assert.isEqual("fruit", graph.get("apple").type);
+      assert.isEqual(2, graph.history.done.length);
+    },
+
+    "Snapshots are immutable and shared", function() {
+      var graph = this.graph;
+      var snapshot = graph.snapshot();
+      assert.isTrue(snapshot === graph.snapshot());
+      assert.isTrue(snapshot.nodes.apple === graph.get("apple"));
+      assert.isTrue(Object.isFrozen(snapshot.nodes.apple.val));
+
+      graph.set(["apple", "val", "size"], "small");
+      graph.set(["apple", "color"], "green");
+      graph.create({ id: "pear", type: "fruit", name: "Pear" });
+      assert.isEqual("big", snapshot.nodes.apple.val.size);
+      assert.isEqual("red", snapshot.nodes.apple.color);
+      assert.isUndefined(snapshot.nodes.pear);
+      assert.isEqual("small", graph.get("apple").val.size);
+
+      // unchanged nodes are shared
+      var next = graph.snapshot();
+      assert.isFalse(next === snapshot);
+      assert.isTrue(next.nodes["apple-tree"] === snapshot.nodes["apple-tree"]);
+      assert.isFalse(next.nodes.apple === snapshot.nodes.apple);
+
+      graph.undo();
+      graph.undo();
+      graph.undo();
+      assert.isEqual(JSON.stringify(snapshot.nodes), JSON.stringify(graph.toJSON().nodes));
+    },
+
+    "Snapshots can be used as seeds", function() {
+      var snapshot = this.graph.snapshot();
+      var copy = new Data.Graph(SCHEMA, { seed: snapshot });
+      assert.isTrue(copy.get("apple") === snapshot.nodes.apple);
+
+      copy.set(["apple", "val", "size"], "small");
+      copy.update(["apple", "name"], { type: "insert", pos: 0, text: "Not " });
+      assert.isEqual("big", this.graph.get("apple").val.size);
+      assert.isEqual("My Apple", this.graph.get("apple").name);
+      assert.isEqual("Not My Apple", copy.get("apple").name);
+
+      copy.reset();
+      assert.isEqual("big", copy.get("apple").val.size);
+    },
+
+    "Seeds are not shared with the graph", function() {
+      var seed = this.graph.toJSON();
+      var graph = new Data.Graph(SCHEMA, { seed: seed });
+      graph.set(["apple", "val", "size"], "small");
+      graph.set(["apple", "color"], "green");
+      assert.isEqual("big", seed.nodes.apple.val.size);
+      assert.isEqual("red", seed.nodes.apple.color);
+      graph.reset();
+      assert.isEqual("red", graph.get("apple").color);
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Graph'], new GraphTest());
@@ -0,0 +1,214 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    fruit: {
+      properties: {
+        name: "string",
+        color: "string"
+      }
+    }
+  }
+};
+
+var HistoryTest = function() {
+
+  this.setup = function() {
+    this.graph = new Data.Graph(SCHEMA);
+    this.graph.create({ id: "apple", type: "fruit", name: "My Apple", color: "red" });
+  };
+
+  this.actions = [
+
+    "Undo and redo single operations", function() {
+      var graph = this.graph;
+      graph.set(["apple", "color"], "green");
+      graph.delete("apple");
+      assert.isFalse(graph.contains("apple"));
+
+      assert.isTrue(graph.undo());
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.isTrue(graph.undo());
+      assert.isEqual("red", graph.get("apple", "color"));
+      assert.isTrue(graph.undo());
+      assert.isFalse(graph.contains("apple"));
+      assert.isFalse(graph.undo());
+
+      assert.isTrue(graph.redo());
+      assert.isTrue(graph.redo());
+      assert.isEqual("green", graph.get("apple", "color"));
+    },
+
+    "Recorded operations are not changed by later operations", function() {
+      var graph = this.graph;
+      graph.set(["apple", "color"], "green");
+      assert.isEqual("red", graph.history.ops()[0].val.color);
+
+      graph.delete("apple");
+      var deleted = graph.history.ops()[2];
+      graph.undo();
+      graph.set(["apple", "color"], "yellow");
+      assert.isEqual("red", graph.history.ops()[0].val.color);
+      assert.isEqual("green", deleted.val.color);
+
+      graph.undo();
+      graph.undo();
+      graph.undo();
+      assert.isFalse(graph.contains("apple"));
+      graph.redo();
+      assert.isEqual("red", graph.get("apple", "color"));
+    },
+
+    "Recording a new operation discards undone changes", function() {
+      var graph = this.graph;
+      graph.set(["apple", "color"], "green");
+      graph.undo();
+      graph.set(["apple", "color"], "yellow");
+      assert.isFalse(graph.redo());
+      assert.isEqual("yellow", graph.get("apple", "color"));
+    },
+
+    "Transactions are undone as one step", function() {
+      var graph = this.graph;
+      graph.transaction(function() {
+        graph.create({ id: "pear", type: "fruit", name: "Pear" });
+        graph.set(["apple", "color"], "green");
+      });
+      assert.isEqual(2, graph.history.done.length);
+
+      graph.undo();
+      assert.isFalse(graph.contains("pear"));
+      assert.isEqual("red", graph.get("apple", "color"));
+
+      graph.redo();
+      assert.isTrue(graph.contains("pear"));
+      assert.isEqual("green", graph.get("apple", "color"));
+    },
+
+    "Failing transactions are rolled back", function() {
+      var graph = this.graph;
+      assert.exception(function() {
+        graph.transaction(function() {
+          graph.create({ id: "pear", type: "fruit", name: "Pear" });
+          graph.set(["apple", "color"], "green");
+          graph.delete("apple");
+          graph.set(["pear", "color"], 42);
+        });
+      });
+      assert.isFalse(graph.contains("pear"));
+      assert.isEqual("red", graph.get("apple", "color"));
+      assert.isEqual(1, graph.history.done.length);
+    },
+
+    "Failing nested transactions roll back their own operations", function() {
+      var graph = this.graph;
+      graph.transaction(function() {
+        graph.set(["apple", "color"], "green");
+        try {
+          graph.transaction(function() {
+            graph.create({ id: "pear", type: "fruit", name: "Pear" });
+            graph.delete("lemon");
+          });
+        } catch (err) {}
+      });
+      assert.isFalse(graph.contains("pear"));
+      assert.isEqual("green", graph.get("apple", "color"));
+      graph.undo();
+      assert.isEqual("red", graph.get("apple", "color"));
+    },
+
+    "Indexes are updated on commit", function() {
+      var graph = this.graph;
+      var index = graph.addIndex("fruits", { types: ["fruit"] });
+      var batches = [];
+      var onGraphChanges = index.onGraphChanges;
+      index.onGraphChanges = function(ops) {
+        batches.push(_.pluck(ops, "type"));
+        return onGraphChanges.call(this, ops);
+      };
+      graph.transaction(function() {
+        graph.create({ id: "pear", type: "fruit", name: "Pear" });
+        graph.set(["apple", "color"], "green");
+        assert.isUndefined(index.get().pear);
+      });
+      assert.isDefined(index.get().pear);
+      assert.isArrayEqual([["create", "set"]], batches);
+    },
+
+    "Applied operations are announced", function() {
+      var ops = [];
+      this.graph.on("graph:op", function(op) {
+        ops.push(op.type);
+      });
+      this.graph.set(["apple", "color"], "green");
+      this.graph.undo();
+      this.graph.delete("apple");
+      assert.isArrayEqual(["set", "set", "delete"], ops);
+    },
+
+    "Change events per node and per type", function() {
+      var graph = this.graph;
+      var nodeChanges = [];
+      var typeChanges = [];
+      graph.onNode("apple", function(change) {
+        nodeChanges.push(change);
+      });
+      graph.onType("fruit", function(change) {
+        typeChanges.push(change.event);
+      });
+
+      graph.create({ id: "pear", type: "fruit", name: "Pear" });
+      graph.set(["apple", "color"], "green");
+      graph.delete("apple");
+
+      assert.isEqual(2, nodeChanges.length);
+      assert.isEqual("property:set", nodeChanges[0].event);
+      assert.isArrayEqual(["apple", "color"], nodeChanges[0].path);
+      assert.isEqual("red", nodeChanges[0].original);
+      assert.isEqual("green", nodeChanges[0].value);
+      assert.isEqual("node:deleted", nodeChanges[1].event);
+      assert.isArrayEqual(["node:created", "property:set", "node:deleted"], typeChanges);
+    },
+
+    "Change events of nodes do not collide with graph events", function() {
+      var graph = this.graph;
+      var nodeChanges = [];
+      var created = [];
+      graph.onNode("created", function(change) {
+        nodeChanges.push(change.event);
+      });
+      graph.onNode("deleted", function(change) {
+        nodeChanges.push(change.event);
+      });
+      graph.on("node:created", function(change) {
+        created.push(change.node.id);
+      });
+
+      graph.create({ id: "pear", type: "fruit", name: "Pear" });
+      graph.delete("apple");
+      assert.isArrayEqual([], nodeChanges);
+
+      graph.create({ id: "created", type: "fruit", name: "Created" });
+      graph.create({ id: "deleted", type: "fruit", name: "Deleted" });
+      assert.isArrayEqual(["node:created", "node:created"], nodeChanges);
+      assert.isArrayEqual(["pear", "created", "deleted"], created);
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'History'], new HistoryTest());
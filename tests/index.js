@@ -1,2 +1,14 @@
-
 require("./schema_test");
+require("./graph_test");
+require("./history_test");
+require("./query_test");
+require("./store_test");
+require("./operation_test");
+require("./chronicle_test");
+require("./merge_test");
+require("./diff_test");
+require("./index_test");
+require("./traversal_test");
+require("./checker_test");
+require("./ndjson_test");
+require("./linked_data_test");
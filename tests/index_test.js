@@ -0,0 +1,311 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "articles",
+  version: "1.0.0",
+  types: {
+    article: {
+      properties: {
+        slug: "string",
+        title: "string"
+      }
+    },
+    paragraph: {
+      properties: {
+        position: "number",
+        content: "string",
+        article: "article"
+      }
+    },
+    page: {
+      properties: {
+        slug: "number"
+      }
+    },
+    annotation: {
+      properties: {
+        container: "string",
+        kind: "string",
+        paragraph: "paragraph"
+      }
+    }
+  }
+};
+
+var IndexTest = function() {
+
+  this.setup = function() {
+    var graph = this.graph = new Data.Graph(SCHEMA);
+    graph.create({ id: "a1", type: "article", slug: "hello", title: "Hello" });
+    graph.create({ id: "a2", type: "article", slug: "world", title: "World" });
+    graph.create({ id: "p1", type: "paragraph", position: 3, content: "three" });
+    graph.create({ id: "p2", type: "paragraph", position: 1, content: "one" });
+    graph.create({ id: "p3", type: "paragraph", position: 2, content: "two" });
+
+    this.sorted = graph.addIndex("paragraphs", { kind: "sorted", types: ["paragraph"], property: "position" });
+    this.unique = graph.addIndex("slugs", { kind: "unique", types: ["article"], property: "slug" });
+  };
+
+  this.actions = [
+
+    "Sorted index iterates in order", function() {
+      assert.isArrayEqual(["p2", "p3", "p1"], _.pluck(this.sorted.list(), "id"));
+
+      var ids = [];
+      this.sorted.each(function(node) {
+        ids.push(node.id);
+      });
+      assert.isArrayEqual(["p2", "p3", "p1"], ids);
+    },
+
+    "Sorted index supports range queries", function() {
+      assert.isArrayEqual(["p3", "p1"], _.pluck(this.sorted.range({ gte: 2 }), "id"));
+      assert.isArrayEqual(["p3"], _.pluck(this.sorted.range({ gt: 1, lt: 3 }), "id"));
+      assert.isArrayEqual(["p1", "p3"], _.pluck(this.sorted.range({}, { reverse: true, limit: 2 }), "id"));
+      assert.isArrayEqual([], this.sorted.range({ gt: 3 }));
+      assert.isDefined(this.sorted.get(2).p3);
+    },
+
+    "Sorted index follows changes", function() {
+      this.graph.set(["p1", "position"], 0);
+      this.graph.create({ id: "p4", type: "paragraph", position: 1.5, content: "one and a half" });
+      this.graph.delete("p3");
+      assert.isArrayEqual(["p1", "p2", "p4"], _.pluck(this.sorted.list(), "id"));
+
+      this.graph.undo();
+      this.graph.undo();
+      this.graph.undo();
+      assert.isArrayEqual(["p2", "p3", "p1"], _.pluck(this.sorted.list(), "id"));
+    },
+
+    "Queries use sorted indexes for ranges", function() {
+      var lookups = 0;
+      var range = this.sorted.range;
+      this.sorted.range = function() {
+        lookups++;
+        return range.apply(this, arguments);
+      };
+      var result = this.graph.find({ type: "paragraph", where: { position: { gte: 2 } }, sort: "position" });
+      assert.isArrayEqual(["p3", "p1"], _.pluck(result, "id"));
+      assert.isEqual(1, lookups);
+    },
+
+    "Unique index looks up nodes by value", function() {
+      assert.isEqual("a1", this.unique.lookup("hello").id);
+      assert.isUndefined(this.unique.lookup("nothing"));
+      assert.isDefined(this.unique.get("world").a2);
+
+      this.graph.set(["a1", "slug"], "hello-again");
+      assert.isUndefined(this.unique.lookup("hello"));
+      assert.isEqual("a1", this.unique.lookup("hello-again").id);
+    },
+
+    "Unique index rejects duplicates", function() {
+      var graph = this.graph;
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "a3", type: "article", slug: "hello" });
+      });
+      assert.isUndefined(graph.get("a3"));
+
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["a2", "slug"], "hello");
+      });
+      assert.isEqual("world", graph.get("a2").slug);
+      assert.isEqual("a2", this.unique.lookup("world").id);
+    },
+
+    "Unique index takes any string as value", function() {
+      var graph = this.graph;
+      assert.isUndefined(this.unique.lookup("constructor"));
+      assert.isUndefined(this.unique.lookup("toString"));
+
+      graph.create({ id: "a3", type: "article", slug: "toString" });
+      graph.set(["a1", "slug"], "constructor");
+      assert.isEqual("a3", this.unique.lookup("toString").id);
+      assert.isEqual("a1", this.unique.lookup("constructor").id);
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "a4", type: "article", slug: "toString" });
+      });
+    },
+
+    "Unique index distinguishes types of values", function() {
+      var graph = this.graph;
+      var index = graph.addIndex("all_slugs", { kind: "unique", types: ["article", "page"], property: "slug" });
+      graph.create({ id: "a3", type: "article", slug: "1" });
+      graph.create({ id: "page1", type: "page", slug: 1 });
+      assert.isEqual("a3", index.lookup("1").id);
+      assert.isEqual("page1", index.lookup(1).id);
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "page2", type: "page", slug: 1 });
+      });
+    },
+
+    "Unique index checks transactions", function() {
+      var graph = this.graph;
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.transaction(function() {
+          graph.create({ id: "a3", type: "article", slug: "new" });
+          graph.create({ id: "a4", type: "article", slug: "new" });
+        });
+      });
+      assert.isUndefined(graph.get("a3"));
+
+      // values can be swapped
+      graph.transaction(function() {
+        graph.set(["a1", "slug"], "tmp");
+        graph.set(["a2", "slug"], "hello");
+        graph.set(["a1", "slug"], "world");
+      });
+      assert.isEqual("a1", this.unique.lookup("world").id);
+      assert.isEqual("a2", this.unique.lookup("hello").id);
+      assert.isUndefined(this.unique.lookup("tmp"));
+    },
+
+    "Compound keys", function() {
+      var graph = this.graph;
+      graph.create({ id: "an1", type: "annotation", container: "content", kind: "strong" });
+      graph.create({ id: "an2", type: "annotation", container: "content", kind: "link" });
+      graph.create({ id: "an3", type: "annotation", container: "figures", kind: "strong" });
+      graph.create({ id: "an4", type: "annotation", container: "figures" });
+
+      var index = graph.addIndex("annotations", { types: ["annotation"], property: ["container", "kind"] });
+      assert.isArrayEqual(["an1"], _.keys(index.get(["content", "strong"])));
+      assert.isArrayEqual(["an1", "an2"], _.keys(index.get("content")).sort());
+      assert.isArrayEqual(["an3", "an4"], _.keys(index.get("figures")).sort());
+
+      graph.set(["an1", "kind"], "link");
+      assert.isArrayEqual([], _.keys(index.get(["content", "strong"])));
+      assert.isArrayEqual(["an1", "an2"], _.keys(index.get(["content", "link"])).sort());
+
+      graph.set(["an4", "kind"], "strong");
+      assert.isArrayEqual(["an3", "an4"], _.keys(index.get(["figures", "strong"])).sort());
+    },
+
+    "Computed keys follow referenced nodes", function() {
+      var graph = this.graph;
+      graph.set(["p1", "article"], "a1");
+      graph.set(["p2", "article"], "a2");
+      graph.create({ id: "an1", type: "annotation", paragraph: "p1" });
+      graph.create({ id: "an2", type: "annotation", paragraph: "p2" });
+
+      var index = graph.addIndex("by_article", {
+        types: ["annotation"],
+        key: function(node, graph) {
+          var paragraph = graph.get(node.paragraph);
+          return paragraph ? paragraph.article : null;
+        }
+      });
+      assert.isArrayEqual(["an1"], _.keys(index.get("a1")));
+      assert.isArrayEqual(["an2"], _.keys(index.get("a2")));
+
+      // change of the annotation
+      graph.set(["an2", "paragraph"], "p1");
+      assert.isArrayEqual(["an1", "an2"], _.keys(index.get("a1")).sort());
+
+      // change of a referenced node
+      graph.set(["p1", "article"], "a2");
+      assert.isArrayEqual([], _.keys(index.get("a1")));
+      assert.isArrayEqual(["an1", "an2"], _.keys(index.get("a2")).sort());
+
+      graph.transaction(function() {
+        graph.set(["p1", "article"], null);
+        graph.set(["an1", "paragraph"], "p3");
+        graph.set(["p3", "article"], "a1");
+      });
+      assert.isArrayEqual(["an1"], _.keys(index.get("a1")));
+      assert.isArrayEqual([], _.keys(index.get("a2")));
+      assert.isArrayEqual(["an1", "an2"], _.keys(index.get()).sort());
+
+      graph.undo();
+      assert.isArrayEqual(["an1", "an2"], _.keys(index.get("a2")).sort());
+    },
+
+    "Observe an index scope", function() {
+      var graph = this.graph;
+      graph.create({ id: "an1", type: "annotation", container: "content", kind: "strong" });
+      graph.create({ id: "an2", type: "annotation", container: "figures", kind: "strong" });
+      var index = graph.addIndex("annotations", { types: ["annotation"], property: ["container", "kind"] });
+
+      var deltas = [];
+      var view = index.observe("content", function(delta) {
+        deltas.push([delta.type, delta.node.id]);
+      });
+      assert.isArrayEqual(["an1"], _.pluck(view.list(), "id"));
+
+      graph.create({ id: "an3", type: "annotation", container: "content", kind: "link" });
+      graph.set(["an1", "kind"], "link");
+      graph.set(["an2", "container"], "content");
+      graph.delete("an3");
+      graph.create({ id: "an4", type: "annotation", container: "figures" });
+      assert.isArrayEqual([["add", "an3"], ["change", "an1"], ["add", "an2"], ["remove", "an3"]], deltas);
+      assert.isArrayEqual(["an1", "an2"], _.keys(view.nodes).sort());
+      assert.isEqual(2, view.getLength());
+
+      deltas = [];
+      graph.undo();
+      graph.undo();
+      graph.undo();
+      assert.isArrayEqual([["add", "an3"], ["remove", "an2"]], deltas);
+
+      view.dispose();
+      graph.set(["an1", "container"], "figures");
+      assert.isEqual(2, deltas.length);
+      assert.isDefined(view.get("an1"));
+    },
+
+    "Observed results are updated on commit and reset", function() {
+      var graph = this.graph;
+      var deltas = [];
+      var view = this.sorted.observe(2, function(delta) {
+        deltas.push([delta.type, delta.node.id]);
+      });
+      assert.isArrayEqual(["p3"], _.keys(view.nodes));
+
+      graph.transaction(function() {
+        graph.set(["p3", "position"], 4);
+        graph.set(["p1", "position"], 2);
+        graph.set(["p1", "content"], "two");
+      });
+      assert.isArrayEqual([["remove", "p3"], ["add", "p1"], ["change", "p1"]], deltas);
+
+      deltas = [];
+      graph.reset();
+      assert.isArrayEqual([["remove", "p1"]], deltas);
+      assert.isEqual(0, view.getLength());
+    },
+
+    "Unique index can not be created on duplicates", function() {
+      var graph = this.graph;
+      graph.removeIndex("slugs");
+      graph.set(["a2", "slug"], "hello");
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.addIndex("slugs", { kind: "unique", types: ["article"], property: "slug" });
+      });
+    },
+
+    "Unique index is left intact when a rebuild finds duplicates", function() {
+      // changing nodes directly bypasses the indexes
+      this.graph.get("a2").slug = "hello";
+      assert.exception(Data.Graph.GraphError, function() {
+        this.unique.rebuild();
+      }.bind(this));
+      assert.isEqual("a1", this.unique.lookup("hello").id);
+      assert.isEqual("a2", this.unique.lookup("world").id);
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Index'], new IndexTest());
@@ -0,0 +1,197 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    tree: {
+      properties: {
+        name: "string"
+      }
+    },
+    fruit: {
+      properties: {
+        name: "string",
+        weight: "number",
+        count: "integer",
+        harvested: "date",
+        tree: "tree",
+        val: "object",
+        tags: ["set", "string"]
+      }
+    },
+    basket: {
+      properties: {
+        name: "number",
+        fruits: ["array", "fruit"],
+        rows: ["array", "array", "fruit"],
+        labels: ["map", "fruit"]
+      }
+    }
+  }
+};
+
+var RDF_TYPE = "<http://www.w3.org/1999/02/22-rdf-syntax-ns#type>";
+
+var LinkedDataTest = function() {
+
+  this.setup = function() {
+    var graph = this.graph = new Data.Graph(SCHEMA);
+    graph.create({ id: "apple-tree", type: "tree", name: "Apple tree" });
+    graph.create({ id: "apple", type: "fruit", name: "Apple", weight: 120.5, count: 3, harvested: "2013-09-01T00:00:00.000Z", tree: "apple-tree", val: { size: "big" }, tags: ["red"] });
+    graph.create({ id: "basket", type: "basket", name: 1, fruits: ["apple"], rows: [["apple"], []], labels: { first: "apple" } });
+  };
+
+  var byId = function(doc) {
+    return _.object(_.pluck(doc["@graph"], "@id"), doc["@graph"]);
+  };
+
+  this.actions = [
+
+    "Export types as classes and references as IRIs", function() {
+      var doc = this.graph.toJSONLD({ base: "http://example.com/fruits/" });
+      var apple = byId(doc)["http://example.com/fruits/apple"];
+      assert.isEqual("fruit", apple["@type"]);
+      assert.isEqual("http://example.com/fruits/apple-tree", apple.tree);
+      assert.isEqual("@id", doc["@context"].tree["@type"]);
+      assert.isEqual("urn:fruits#", doc["@context"]["@vocab"]);
+    },
+
+    "Export values as typed literals", function() {
+      var doc = this.graph.toJSONLD();
+      var context = doc["@context"];
+      var apple = byId(doc)["urn:fruits:apple"];
+      assert.isEqual("xsd:dateTime", context.harvested["@type"]);
+      assert.isEqual("2013-09-01T00:00:00.000Z", apple.harvested);
+      assert.isEqual("xsd:double", context.weight["@type"]);
+      assert.isEqual("xsd:integer", context.count["@type"]);
+      assert.isEqual("@json", context.val["@type"]);
+      assert.isArrayEqual(["red"], apple.tags);
+    },
+
+    "Export arrays as lists", function() {
+      var doc = this.graph.toJSONLD();
+      var basket = byId(doc)["urn:fruits:basket"];
+      assert.isEqual("@list", doc["@context"].fruits["@container"]);
+      assert.isArrayEqual(["urn:fruits:apple"], basket.fruits);
+      assert.isArrayEqual([{ "@list": ["urn:fruits:apple"] }, { "@list": [] }], basket.rows);
+      assert.isEqual("@index", doc["@context"].labels["@container"]);
+    },
+
+    "Properties with different types are written expanded", function() {
+      var doc = this.graph.toJSONLD();
+      assert.isUndefined(doc["@context"].name);
+      assert.isEqual("Apple", byId(doc)["urn:fruits:apple"]["urn:fruits#name"]);
+      assert.isDeepEqual({ "@value": 1, "@type": "xsd:double" }, byId(doc)["urn:fruits:basket"]["urn:fruits#name"]);
+    },
+
+    "Export N-Triples", function() {
+      var lines = this.graph.toNTriples().split("\n");
+      assert.isTrue(lines.indexOf("<urn:fruits:apple> " + RDF_TYPE + " <urn:fruits#fruit> .") >= 0);
+      assert.isTrue(lines.indexOf("<urn:fruits:apple> <urn:fruits#tree> <urn:fruits:apple-tree> .") >= 0);
+      assert.isTrue(lines.indexOf("<urn:fruits:apple> <urn:fruits#harvested> \"2013-09-01T00:00:00.000Z\"^^<http://www.w3.org/2001/XMLSchema#dateTime> .") >= 0);
+      assert.isTrue(lines.indexOf("<urn:fruits:apple> <urn:fruits#val> \"{\\\"size\\\":\\\"big\\\"}\"^^<http://www.w3.org/1999/02/22-rdf-syntax-ns#JSON> .") >= 0);
+      // lists are chains of blank nodes
+      assert.isTrue(lines.indexOf("_:b0 <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> <urn:fruits:apple> .") >= 0);
+      assert.isTrue(lines.indexOf("<urn:fruits:basket> <urn:fruits#fruits> _:b0 .") >= 0);
+    },
+
+    "Strings are escaped in N-Triples", function() {
+      this.graph.set(["apple-tree", "name"], "The \"old\"\ntree");
+      assert.isTrue(this.graph.toNTriples().indexOf("<urn:fruits:apple-tree> <urn:fruits#name> \"The \\\"old\\\"\\ntree\" .") >= 0);
+    },
+
+    "Import an exported document", function() {
+      var doc = JSON.parse(JSON.stringify(this.graph.toJSONLD({ base: "http://example.com/fruits/" })));
+      var graph = Data.Graph.fromJSONLD(SCHEMA, doc);
+      assert.isEqual(JSON.stringify(this.graph.toJSON()), JSON.stringify(graph.toJSON()));
+    },
+
+    "Dates are restored on import", function() {
+      var doc = JSON.parse(JSON.stringify(this.graph.toJSONLD()));
+      var harvested = Data.Graph.fromJSONLD(SCHEMA, doc).get("apple").harvested;
+      assert.isTrue(_.isDate(harvested));
+      assert.isEqual(this.graph.get("apple").harvested.getTime(), harvested.getTime());
+
+      byId(doc)["urn:fruits:apple"].harvested = "yesterday";
+      assert.exception(Data.Graph.GraphError, function() {
+        Data.Graph.fromJSONLD(SCHEMA, doc);
+      });
+    },
+
+    "Import using a supplied context", function() {
+      var doc = {
+        "@graph": [
+          { "id": "ex:pear", "type": "fv:fruit", "fv:name": "Pear", "weight": { "@value": "80", "@type": "xsd:double" }, "grows_on": { "id": "ex:pear-tree", "type": "fv:tree", "fv:name": "Pear tree" } },
+          { "id": "http://other.org/banana", "type": ["fv:food", "fv:fruit"], "fv:color": "yellow" },
+          { "id": "ex:salad", "type": "fv:dish" }
+        ]
+      };
+      var context = {
+        "id": "@id",
+        "type": "@type",
+        "ex": "http://example.com/fruits/",
+        "fv": "http://example.com/vocab#",
+        "@base": "http://example.com/fruits/",
+        "@vocab": "http://example.com/vocab#",
+        "weight": "fv:weight",
+        "grows_on": { "@id": "fv:tree", "@type": "@id" }
+      };
+
+      var graph = Data.Graph.fromJSONLD(SCHEMA, doc, { context: context });
+      assert.isArrayEqual(["http://other.org/banana", "pear", "pear-tree"], _.keys(graph.nodes).sort());
+      assert.isEqual(80, graph.get("pear").weight);
+      assert.isEqual("pear-tree", graph.get("pear").tree);
+      assert.isEqual("Pear tree", graph.get("pear-tree").name);
+      assert.isUndefined(graph.get("http://other.org/banana").color);
+    },
+
+    "Imports are validated", function() {
+      var doc = this.graph.toJSONLD();
+      doc["@graph"] = _.reject(doc["@graph"], function(node) { return node["@id"] === "urn:fruits:apple-tree"; });
+      doc["@graph"][0].val = "big";
+      assert.exception(Data.Graph.GraphError, function() {
+        Data.Graph.fromJSONLD(SCHEMA, doc);
+      });
+      try {
+        Data.Graph.fromJSONLD(SCHEMA, doc);
+      } catch (err) {
+        assert.isArrayEqual(["reference", "value"], _.pluck(err.issues, "kind").sort());
+      }
+    },
+
+    "Invalid literals are rejected", function() {
+      var doc = this.graph.toJSONLD();
+      byId(doc)["urn:fruits:apple"].count = "many";
+      var error;
+      try {
+        Data.Graph.fromJSONLD(SCHEMA, doc);
+      } catch (err) {
+        error = err;
+      }
+      assert.isTrue(error instanceof Data.Graph.GraphError);
+      assert.isTrue(error.message.indexOf('<urn:fruits:apple> <urn:fruits#count>: invalid integer literal "many"') >= 0);
+    },
+
+    "Remote contexts are not supported", function() {
+      assert.exception(Data.Graph.GraphError, function() {
+        Data.Graph.fromJSONLD(SCHEMA, { "@context": "http://example.com/context.jsonld", "@graph": [] });
+      });
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'LinkedData'], new LinkedDataTest());
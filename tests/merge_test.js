@@ -0,0 +1,128 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    tree: {
+      properties: {
+        name: "string"
+      }
+    },
+    fruit: {
+      properties: {
+        name: "string",
+        color: "string",
+        tree: "tree"
+      }
+    }
+  }
+};
+
+var MergeTest = function() {
+
+  this.setup = function() {
+    var base = this.base = new Data.Graph(SCHEMA);
+    base.create({ id: "apple-tree", type: "tree", name: "Apple tree" });
+    base.create({ id: "apple", type: "fruit", name: "Apple", color: "red", tree: "apple-tree" });
+    base.create({ id: "pear", type: "fruit", name: "Pear", color: "green" });
+
+    this.ours = new Data.Graph(SCHEMA, { seed: base.toJSON() });
+    this.theirs = new Data.Graph(SCHEMA, { seed: base.toJSON() });
+  };
+
+  this.actions = [
+
+    "Merge independent changes", function() {
+      this.ours.set(["apple", "color"], "green");
+      this.ours.create({ id: "lemon", type: "fruit", name: "Lemon" });
+      this.theirs.set(["apple", "name"], "Green Apple");
+      this.theirs.delete("pear");
+
+      var result = Data.Graph.merge(this.base, this.ours, this.theirs.toJSON());
+      assert.isArrayEqual([], result.conflicts);
+      assert.isEqual("green", result.nodes.apple.color);
+      assert.isEqual("Green Apple", result.nodes.apple.name);
+      assert.isDefined(result.nodes.lemon);
+      assert.isUndefined(result.nodes.pear);
+    },
+
+    "Report conflicts", function() {
+      this.ours.set(["apple", "color"], "green");
+      this.theirs.set(["apple", "color"], "yellow");
+      this.ours.delete("pear");
+      this.theirs.set(["pear", "color"], "yellow");
+
+      var result = Data.Graph.merge(this.base, this.ours, this.theirs);
+      assert.isArrayEqual(["property", "delete"], _.pluck(result.conflicts, "type"));
+      assert.isArrayEqual(["apple", "color"], result.conflicts[0].path);
+      assert.isEqual("red", result.conflicts[0].base);
+      assert.isEqual("yellow", result.conflicts[0].theirs);
+      // our side is taken
+      assert.isEqual("green", result.nodes.apple.color);
+      assert.isUndefined(result.nodes.pear);
+    },
+
+    "Resolve conflicts", function() {
+      this.ours.set(["apple", "color"], "green");
+      this.theirs.set(["apple", "color"], "yellow");
+      this.ours.delete("pear");
+      this.theirs.set(["pear", "color"], "yellow");
+
+      var result = Data.Graph.merge(this.base, this.ours, this.theirs, { resolve: Data.Graph.merge.theirs });
+      assert.isArrayEqual([], result.conflicts);
+      assert.isEqual("yellow", result.nodes.apple.color);
+      assert.isEqual("yellow", result.nodes.pear.color);
+
+      result = Data.Graph.merge(this.base, this.ours, this.theirs, {
+        resolve: function(conflict) {
+          if (conflict.type === "property") return { value: "orange" };
+        }
+      });
+      assert.isEqual("orange", result.nodes.apple.color);
+      assert.isArrayEqual(["delete"], _.pluck(result.conflicts, "type"));
+    },
+
+    "Report dangling references", function() {
+      this.ours.delete("apple-tree");
+      this.theirs.create({ id: "green-apple", type: "fruit", name: "Green Apple", tree: "apple-tree" });
+
+      var result = Data.Graph.merge(this.base, this.ours, this.theirs);
+      var conflicts = _.where(result.conflicts, { type: "reference" });
+      assert.isEqual(2, conflicts.length);
+      assert.isEqual("apple-tree", conflicts[0].target);
+    },
+
+    "Merge snapshots", function() {
+      this.ours.delete("apple-tree");
+      this.theirs.set(["apple", "name"], "Green Apple");
+
+      var result = Data.Graph.merge(this.base.toJSON(), this.ours.toJSON(), this.theirs.toJSON(), { schema: SCHEMA });
+      assert.isEqual("Green Apple", result.nodes.apple.name);
+      assert.isUndefined(result.nodes["apple-tree"]);
+      assert.isArrayEqual([["apple", "tree"]], _.pluck(result.conflicts, "path"));
+    },
+
+    "Snapshots require a schema", function() {
+      var base = this.base.toJSON();
+      assert.exception(Data.Graph.GraphError, function() {
+        Data.Graph.merge(base, base, base);
+      });
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Merge'], new MergeTest());
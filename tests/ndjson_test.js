@@ -0,0 +1,214 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var EventEmitter = require('events').EventEmitter;
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    tree: {
+      properties: {
+        name: "string"
+      }
+    },
+    fruit: {
+      properties: {
+        name: "string",
+        weight: "number",
+        harvested: "date",
+        tree: "tree"
+      }
+    }
+  }
+};
+
+// A writable stream which signals backpressure after a given number of writes
+var Sink = function(capacity) {
+  EventEmitter.call(this);
+  this.capacity = capacity || Infinity;
+  this.data = "";
+  this.ended = false;
+};
+Sink.prototype = _.extend(Object.create(EventEmitter.prototype), {
+  write: function(chunk) {
+    this.data += chunk;
+    return (--this.capacity > 0);
+  },
+  end: function(cb) {
+    this.ended = true;
+    cb();
+  },
+  drain: function(capacity) {
+    this.capacity = capacity;
+    this.emit("drain");
+  }
+});
+
+// Emits the given text in chunks of a given size
+var feed = function(stream, text, size) {
+  for (var pos = 0; pos < text.length; pos += size) {
+    stream.emit("data", text.substr(pos, size));
+  }
+  stream.emit("end");
+};
+
+var NDJSONTest = function() {
+
+  this.setup = function() {
+    this.graph = new Data.Graph(SCHEMA);
+    this.graph.create({ id: "apple-tree", type: "tree", name: "Apple tree" });
+    this.graph.create({ id: "apple", type: "fruit", name: "Apple", weight: 120, harvested: "2013-09-01T00:00:00.000Z", tree: "apple-tree" });
+  };
+
+  var exportText = function(graph) {
+    var sink = new Sink();
+    graph.exportNDJSON(sink, function(err) {
+      assert.isNull(err);
+    });
+    return sink.data;
+  };
+
+  var importText = function(text, size) {
+    var stream = new EventEmitter();
+    var result = {};
+    Data.Graph.importNDJSON(SCHEMA, stream, function(err, graph) {
+      result.err = err;
+      result.graph = graph;
+    });
+    feed(stream, text, size || 16);
+    return result;
+  };
+
+  this.actions = [
+
+    "Export a header and one node per line", function() {
+      var lines = _.compact(exportText(this.graph).split("\n"));
+      assert.isEqual(3, lines.length);
+      assert.isArrayEqual(["fruits", "1.0.0"], JSON.parse(lines[0]).schema);
+      assert.isEqual("apple-tree", JSON.parse(lines[1]).id);
+      assert.isEqual("2013-09-01T00:00:00.000Z", JSON.parse(lines[2]).harvested);
+    },
+
+    "Export respects backpressure", function() {
+      var sink = new Sink(1);
+      var done = false;
+      this.graph.exportNDJSON(sink, function() { done = true; });
+      assert.isEqual(1, _.compact(sink.data.split("\n")).length);
+      assert.isFalse(done);
+
+      // changes while writing do not affect the export
+      this.graph.delete("apple");
+      sink.drain(Infinity);
+      assert.isEqual(3, _.compact(sink.data.split("\n")).length);
+      assert.isTrue(done);
+      assert.isTrue(sink.ended);
+    },
+
+    "Export checks the nodes", function() {
+      this.graph.get("apple").weight = "heavy";
+      var sink = new Sink();
+      var error;
+      this.graph.exportNDJSON(sink, { end: false }, function(err) { error = err; });
+      assert.isTrue(error instanceof Data.Graph.GraphError);
+      assert.isArrayEqual([["apple", "weight"]], _.pluck(error.issues, "path"));
+      assert.isEqual("", sink.data);
+    },
+
+    "Import a graph", function() {
+      var result = importText(exportText(this.graph), 7);
+      assert.isNull(result.err);
+      assert.isEqual("Apple", result.graph.get("apple").name);
+      assert.isTrue(_.isDate(result.graph.get("apple").harvested));
+      assert.isArrayEqual(["apple"], _.pluck(result.graph.referrers("apple-tree"), "id"));
+
+      // the imported state is the initial state
+      result.graph.delete("apple");
+      result.graph.reset();
+      assert.isDefined(result.graph.get("apple"));
+    },
+
+    "Nodes may reference nodes further down", function() {
+      var text = [
+        '{"schema":["fruits","1.0.0"]}',
+        '{"id":"pear","type":"fruit","name":"Pear","tree":"pear-tree"}',
+        '',
+        '{"id":"pear-tree","type":"tree","name":"Pear tree"}'
+      ].join("\n");
+      var result = importText(text);
+      assert.isNull(result.err);
+      assert.isEqual("pear-tree", result.graph.get("pear").tree);
+    },
+
+    "Indexes are built at the end", function() {
+      var stream = new EventEmitter();
+      var graph = new Data.Graph(SCHEMA);
+      var index = graph.addIndex("by_weight", { kind: "sorted", types: ["fruit"], property: "weight" });
+      Data.Graph.NDJSON.read(graph, stream, function(err) {
+        assert.isNull(err);
+      });
+      stream.emit("data", exportText(this.graph));
+      assert.isEqual(0, index.list().length);
+      stream.emit("end");
+      assert.isArrayEqual(["apple"], _.pluck(index.list(), "id"));
+    },
+
+    "Imports are validated", function() {
+      var text = [
+        '{"schema":["fruits","1.0.0"]}',
+        '{"id":"pear","type":"fruit","weight":"heavy","tree":"pear-tree"}',
+        '{"id":"ufo","type":"spaceship"}'
+      ].join("\n");
+      var result = importText(text);
+      assert.isTrue(result.err instanceof Data.Graph.GraphError);
+      assert.isArrayEqual([["pear", "weight"], ["ufo", "type"], ["pear", "tree"]], _.pluck(result.err.issues, "path"));
+      assert.isUndefined(result.graph);
+    },
+
+    "Failed imports leave the graph unchanged", function() {
+      var stream = new EventEmitter();
+      var error;
+      Data.Graph.NDJSON.read(this.graph, stream, function(err) { error = err; });
+      feed(stream, '{"schema":["fruits","1.0.0"]}\n{"id":"pear","type":"fruit"}\n{"id":"apple","type":"fruit"}', 10);
+      assert.isArrayEqual([["apple"]], _.pluck(error.issues, "path"));
+      assert.isFalse(this.graph.contains("pear"));
+    },
+
+    "Imports stop at the first error", function() {
+      var stream = new EventEmitter();
+      stream.destroy = function() { this.destroyed = true; };
+      var errors = [];
+      Data.Graph.NDJSON.read(this.graph, stream, function(err) { errors.push(err); });
+      stream.emit("data", '{"schema":["fruits","1.0.0"]}\n{"id":"pear","type":"fruit"}\n{"id":\n');
+      stream.emit("data", '{"id":"lemon","type":"fruit"}\n');
+      stream.emit("end");
+      stream.emit("error", new Error("closed"));
+
+      assert.isEqual(1, errors.length);
+      assert.isTrue(errors[0] instanceof Data.Graph.GraphError);
+      assert.isTrue(stream.destroyed);
+      assert.isEqual(0, stream.listeners("data").length);
+      assert.isFalse(this.graph.contains("pear"));
+      assert.isFalse(this.graph.contains("lemon"));
+    },
+
+    "Imports need a matching schema header", function() {
+      assert.isTrue(importText('{"schema":["vegetables","1.0.0"]}\n').err instanceof Data.Graph.GraphError);
+      assert.isTrue(importText('{"id":"apple-tree","type":"tree"}\n').err instanceof Data.Graph.GraphError);
+      assert.isTrue(importText('{"schema":["fruits","1.0.0"]}\n{"id":').err instanceof Data.Graph.GraphError);
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'NDJSON'], new NDJSONTest());
@@ -0,0 +1,193 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+var Operation = Data.Graph.Operation;
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    fruit: {
+      properties: {
+        name: "string",
+        color: "string",
+        val: "object",
+        tags: ["array", "string"]
+      }
+    }
+  }
+};
+
+var SEED = {
+  schema: ["fruits", "1.0.0"],
+  nodes: {
+    apple: { id: "apple", type: "fruit", name: "Apple", color: "red", val: { size: "big", weight: 150 }, tags: ["a", "b", "c"] },
+    pear: { id: "pear", type: "fruit", name: "Pear", color: "green" }
+  }
+};
+
+var OperationTest = function() {
+
+  this.setup = function() {
+    this.graphA = new Data.Graph(SCHEMA, { seed: SEED });
+    this.graphB = new Data.Graph(SCHEMA, { seed: SEED });
+  };
+
+  // Applies a and b concurrently and checks that both graphs converge
+  this.converge = function(a, b) {
+    var transformed = Operation.transform(a, b);
+    this.graphA.apply(a);
+    this.graphA.apply(transformed[1]);
+    this.graphB.apply(b);
+    this.graphB.apply(transformed[0]);
+    assert.isDeepEqual(this.graphA.toJSON(), this.graphB.toJSON());
+    return this.graphA;
+  };
+
+  this.actions = [
+
+    "Apply operations", function() {
+      var graph = this.graphA;
+      graph.apply({ type: "set", path: ["apple", "color"], val: "green" });
+      graph.apply([
+        { type: "create", path: ["lemon"], val: { id: "lemon", type: "fruit", name: "Lemon" } },
+        { type: "delete", path: ["pear"] }
+      ]);
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.isTrue(graph.contains("lemon"));
+      assert.isFalse(graph.contains("pear"));
+      graph.undo();
+      assert.isTrue(graph.contains("pear"));
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.apply({ type: "set", path: ["apple", "color"], val: 42 });
+      });
+    },
+
+    "Independent operations", function() {
+      var graph = this.converge(
+        { type: "set", path: ["apple", "color"], val: "green", original: "red" },
+        { type: "set", path: ["pear", "color"], val: "yellow", original: "green" }
+      );
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.isEqual("yellow", graph.get("pear", "color"));
+    },
+
+    "Concurrent sets of the same property", function() {
+      var graph = this.converge(
+        { type: "set", path: ["apple", "color"], val: "green", original: "red" },
+        { type: "set", path: ["apple", "color"], val: "yellow", original: "red" }
+      );
+      assert.isEqual("green", graph.get("apple", "color"));
+    },
+
+    "Concurrent sets of nested values", function() {
+      var graph = this.converge(
+        { type: "set", path: ["apple", "val", "size"], val: "small", original: "big" },
+        { type: "set", path: ["apple", "val"], val: { size: "big", weight: 200 }, original: SEED.nodes.apple.val }
+      );
+      assert.isDeepEqual({ size: "small", weight: 200 }, graph.get("apple", "val"));
+    },
+
+    "Delete wins over set", function() {
+      var graph = this.converge(
+        { type: "set", path: ["apple", "color"], val: "green", original: "red" },
+        { type: "delete", path: ["apple"], val: SEED.nodes.apple }
+      );
+      assert.isFalse(graph.contains("apple"));
+
+      // the inverse of the transformed delete restores the concurrent change
+      graph.undo();
+      assert.isEqual("green", graph.get("apple", "color"));
+    },
+
+    "Concurrent text updates", function() {
+      var update = function(diff) {
+        return { type: "update", path: ["apple", "name"], diff: diff };
+      };
+      var graph = this.converge(
+        update({ type: "insert", pos: 0, text: "Red " }),
+        update({ type: "insert", pos: 5, text: "s" })
+      );
+      assert.isEqual("Red Apples", graph.get("apple", "name"));
+
+      graph = this.converge(
+        update({ type: "delete", pos: 0, text: "Red A" }),
+        update({ type: "delete", pos: 4, text: "Apples" })
+      );
+      assert.isEqual("", graph.get("apple", "name"));
+
+      graph = this.converge(
+        update({ type: "insert", pos: 0, text: "Apple" }),
+        update({ type: "insert", pos: 0, text: "Pear" })
+      );
+      assert.isEqual("ApplePear", graph.get("apple", "name"));
+
+      graph = this.converge(
+        update({ type: "insert", pos: 2, text: "xx" }),
+        update({ type: "delete", pos: 0, text: "Appl" })
+      );
+      assert.isEqual("ePear", graph.get("apple", "name"));
+    },
+
+    "Concurrent array updates", function() {
+      var update = function(diff) {
+        return { type: "update", path: ["apple", "tags"], diff: diff };
+      };
+      var graph = this.converge(
+        update({ type: "delete", pos: 0, val: "a" }),
+        update({ type: "insert", pos: 2, val: "x" })
+      );
+      assert.isArrayEqual(["b", "x", "c"], graph.get("apple", "tags"));
+
+      graph = this.converge(
+        update({ type: "delete", pos: 1, val: "x" }),
+        { type: "set", path: ["apple", "tags", 1], val: "y", original: "x" }
+      );
+      assert.isArrayEqual(["b", "c"], graph.get("apple", "tags"));
+
+      graph = this.converge(
+        update({ type: "insert", pos: 0, val: "z" }),
+        { type: "set", path: ["apple", "tags"], val: ["q"], original: ["b", "c"] }
+      );
+      assert.isArrayEqual(["q"], graph.get("apple", "tags"));
+    },
+
+    "Concurrent key updates", function() {
+      var graph = this.converge(
+        { type: "update", path: ["apple", "val"], diff: { type: "key", key: "size", val: "small", original: "big" } },
+        { type: "set", path: ["apple", "val", "size"], val: "huge", original: "big" }
+      );
+      assert.isEqual("small", graph.get("apple", "val").size);
+    },
+
+    "Lists of operations", function() {
+      var as = [
+        { type: "set", path: ["apple", "color"], val: "green", original: "red" },
+        { type: "delete", path: ["pear"], val: SEED.nodes.pear }
+      ];
+      var bs = [
+        { type: "set", path: ["pear", "name"], val: "Nashi", original: "Pear" },
+        { type: "set", path: ["apple", "color"], val: "yellow", original: "red" },
+        { type: "create", path: ["lemon"], val: { id: "lemon", type: "fruit", name: "Lemon" } }
+      ];
+      var graph = this.converge(as, bs);
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.isFalse(graph.contains("pear"));
+      assert.isTrue(graph.contains("lemon"));
+      assert.isTrue(_.isArray(Operation.transform(as, bs)[0]));
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Operation'], new OperationTest());
@@ -0,0 +1,119 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    tree: {
+      properties: {
+        name: "string",
+        planted: "date"
+      }
+    },
+    fruit: {
+      properties: {
+        name: "string",
+        color: "string",
+        weight: "number",
+        tree: "tree"
+      }
+    },
+    citrus: {
+      parent: "fruit",
+      properties: {
+        acidity: "number"
+      }
+    },
+    basket: {
+      properties: {
+        name: "string",
+        fruits: ["array", "fruit"]
+      }
+    }
+  }
+};
+
+var ids = function(nodes) {
+  return _.pluck(nodes, "id");
+};
+
+var QueryTest = function() {
+
+  this.setup = function() {
+    var graph = this.graph = new Data.Graph(SCHEMA);
+    graph.create({ id: "apple-tree", type: "tree", name: "Apple tree", planted: "2001-04-01" });
+    graph.create({ id: "lemon-tree", type: "tree", name: "Lemon tree", planted: "2011-06-01" });
+    graph.create({ id: "apple", type: "fruit", name: "Apple", color: "red", weight: 150, tree: "apple-tree" });
+    graph.create({ id: "green-apple", type: "fruit", name: "Green Apple", color: "green", weight: 120, tree: "apple-tree" });
+    graph.create({ id: "lemon", type: "citrus", name: "Lemon", color: "yellow", weight: 80, tree: "lemon-tree" });
+    graph.create({ id: "basket", type: "basket", name: "Basket", fruits: ["apple", "lemon"] });
+  };
+
+  this.actions = [
+
+    "Type constraints include sub-types", function() {
+      assert.isArrayEqual(["apple", "green-apple", "lemon"], ids(this.graph.find({ type: "fruit" })));
+      assert.isArrayEqual(["lemon"], ids(this.graph.find({ type: "citrus" })));
+    },
+
+    "Property predicates", function() {
+      var graph = this.graph;
+      assert.isArrayEqual(["apple"], ids(graph.find({ where: { color: "red" } })));
+      assert.isArrayEqual(["apple", "lemon"], ids(graph.find({ where: { color: { in: ["red", "yellow"] } } })));
+      assert.isArrayEqual(["green-apple", "lemon"], ids(graph.find({ where: { weight: { gte: 80, lt: 150 } } })));
+      assert.isArrayEqual(["apple", "green-apple"], ids(graph.find({ type: "fruit", where: { name: { regex: /Apple$/ } } })));
+    },
+
+    "Reference traversal", function() {
+      var graph = this.graph;
+      assert.isArrayEqual(["lemon"], ids(graph.find({ where: { "tree.name": "Lemon tree" } })));
+      assert.isArrayEqual(["lemon"], ids(graph.find({ where: { "tree.planted": { gt: new Date("2010-01-01") } } })));
+      assert.isArrayEqual(["basket"], ids(graph.find({ where: { "fruits.color": "yellow" } })));
+      assert.isArrayEqual([], ids(graph.find({ where: { "fruits.color": "green" } })));
+    },
+
+    "Sorting, offset and limit", function() {
+      var graph = this.graph;
+      assert.isArrayEqual(["lemon", "green-apple", "apple"], ids(graph.find({ type: "fruit", sort: "weight" })));
+      assert.isArrayEqual(["apple", "green-apple"], ids(graph.find({ type: "fruit", sort: ["tree.name", "-weight"], limit: 2 })));
+      assert.isArrayEqual(["green-apple"], ids(graph.find({ type: "fruit", sort: "-weight", offset: 1, limit: 1 })));
+    },
+
+    "Lists of queries", function() {
+      var result = this.graph.find([{ where: { color: "red" } }, { type: "tree" }, { where: { color: "red" } }]);
+      assert.isArrayEqual(["apple", "apple-tree", "lemon-tree"], ids(result));
+    },
+
+    "Queries use matching indexes", function() {
+      var graph = this.graph;
+      var index = graph.addIndex("fruits_by_color", { types: ["fruit"], property: "color" });
+      var used = false;
+      var get = index.get;
+      index.get = function() {
+        used = true;
+        return get.apply(this, arguments);
+      };
+      assert.isArrayEqual(["apple"], ids(graph.find({ type: "fruit", where: { color: "red" } })));
+      assert.isTrue(used);
+
+      used = false;
+      graph.find({ type: "tree" });
+      assert.isFalse(used);
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Query'], new QueryTest());
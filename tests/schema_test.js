@@ -42,6 +42,24 @@ var SCHEMA = {
   }
 };
 
+var PRODUCTS = {
+  id: "products",
+  version: "1.0.0",
+  types: {
+    product: {
+      properties: {
+        name: { type: "string", required: true },
+        slug: { type: "string", pattern: "^[a-z-]+$" },
+        count: { type: "integer", min: 0, default: 1 },
+        price: { type: "float", min: 0, max: 1000 },
+        size: { type: "string", "enum": ["S", "M", "L"], nullable: false },
+        tags: { type: ["array", "string"], "default": [] },
+        released: { type: "date", min: "2000-01-01" }
+      }
+    }
+  }
+};
+
 var SchemaTest = function() {
 
   this.setup = function() {
@@ -97,6 +115,225 @@ var SchemaTest = function() {
       var expected = ["array", "number"];
       var actual = this.schema.propertyType("numbers", "arr");
       assert.isArrayEqual(expected, actual);
+    },
+
+    "Version ranges", function() {
+      var satisfies = Data.Graph.Schema.satisfies;
+      assert.isTrue(satisfies("1.2.3", "1.2.3"));
+      assert.isTrue(satisfies("1.2.3", "1.x"));
+      assert.isTrue(satisfies("1.2.3", "*"));
+      assert.isFalse(satisfies("2.0.0", "1.x"));
+      assert.isTrue(satisfies("1.2.3", ">=1.0.0 <1.10.0"));
+      assert.isFalse(satisfies("1.10.0", ">=1.0.0 <1.10.0"));
+    },
+
+    "Migrations", function() {
+      var schema = new Data.Graph.Schema(_.extend({}, SCHEMA, { version: "2.0.0" }));
+      schema.addMigration("1.0.x", "1.1.0", function(nodes) {
+        _.each(nodes, function(node) {
+          node.name = node.title;
+          delete node.title;
+        });
+        return nodes;
+      });
+      schema.addMigration("1.1.x", "2.0.0", function(nodes) {
+        // split "a, b" into two nodes
+        _.each(_.values(nodes), function(node) {
+          var names = node.name.split(", ");
+          node.name = names[0];
+          nodes[node.id + "_2"] = { id: node.id + "_2", type: node.type, name: names[1] };
+        });
+        return nodes;
+      });
+
+      var seed = {
+        schema: ["schema-1", "1.0.1"],
+        nodes: { n1: { id: "n1", type: "node", title: "a, b" } }
+      };
+      var graph = new Data.Graph(schema, { seed: seed });
+      assert.isEqual("a", graph.get("n1").name);
+      assert.isEqual("b", graph.get("n1_2").name);
+      // the seed is left untouched
+      assert.isEqual("a, b", seed.nodes.n1.title);
+
+      assert.exception(function() {
+        new Data.Graph(schema, { seed: { schema: ["schema-1", "0.9.0"], nodes: {} } });
+      });
+    },
+
+    "JSON Schema export", function() {
+      var doc = this.schema.toJSONSchema();
+      assert.isEqual("schema-1", doc.$id);
+      assert.isEqual("1.0.0", doc["x-version"]);
+      assert.isDeepEqual({ type: ["string", "null"], format: "date-time" }, doc.definitions.elem.properties.time);
+      assert.isDeepEqual({ type: ["array", "null"], items: { type: "number" } }, doc.definitions.numbers.allOf[1].properties.arr);
+      assert.isDeepEqual({ $ref: "#/definitions/node" }, doc.definitions.numbers.allOf[0]);
+    },
+
+    "JSON Schema import", function() {
+      var schema = Data.Graph.Schema.fromJSONSchema(JSON.parse(JSON.stringify(this.schema.toJSONSchema())));
+      assert.isEqual("schema-1", schema.id);
+      assert.isEqual("1.0.0", schema.version);
+      assert.isArrayEqual(["node", "numbers"], schema.typeChain("numbers"));
+      assert.isDeepEqual(this.schema.properties("elem"), schema.properties("elem"));
+      assert.isDeepEqual({ name: "string", val: "number", arr: ["array", "number"] }, schema.properties("numbers"));
+    },
+
+    "Validate payloads with JSON Schema", function() {
+      var JSONSchema = Data.Graph.JSONSchema;
+      var doc = this.schema.toJSONSchema();
+      this.graph.create({ id: "e1", type: "elem", str: "foo", num: 1.5, time: new Date(), arr: [1, "a"] });
+      this.graph.create({ id: "n1", type: "numbers", name: "One", arr: [1, 2] });
+
+      var payload = this.graph.toJSON();
+      assert.isArrayEqual([], JSONSchema.validate(doc, payload));
+      assert.isArrayEqual([], JSONSchema.validate(doc, JSON.parse(JSON.stringify(payload))));
+
+      payload.nodes.n1.arr = [1, "two"];
+      payload.nodes.e1.flag = "yes";
+      payload.nodes.x = { id: "x", type: "unknown" };
+      var issues = JSONSchema.validate(doc, payload);
+      var paths = _.map(issues, function(issue) { return issue.path.join("."); });
+      assert.isTrue(paths.indexOf("nodes.n1.arr.1") >= 0);
+      assert.isTrue(paths.indexOf("nodes.e1.flag") >= 0);
+      assert.isTrue(paths.indexOf("nodes.x.type") >= 0);
+
+      payload = this.graph.toJSON();
+      payload.schema = ["other", "1.0.0"];
+      assert.isArrayEqual([["schema", 0]], _.pluck(JSONSchema.validate(doc, payload), "path"));
+    },
+
+    "Integers and floats", function() {
+      assert.isEqual(4.5, this.schema.parseValue("number", "4.5"));
+      assert.isEqual(4.5, this.schema.parseValue("float", "4.5"));
+      assert.isEqual(4, this.schema.parseValue("integer", "4"));
+      assert.exception(function() {
+        this.schema.parseValue("integer", 4.5);
+      }.bind(this));
+
+      // strings must be numbers as a whole
+      _.each(["number", "float", "integer"], function(type) {
+        _.each(["12abc", "", " ", "Infinity", "NaN"], function(value) {
+          assert.exception(function() {
+            this.schema.parseValue(type, value);
+          }.bind(this));
+        }, this);
+      }, this);
+      assert.isEqual(-12, this.schema.parseValue("integer", " -12 "));
+      assert.isEqual(1000, this.schema.parseValue("number", "1e3"));
+
+      var graph = new Data.Graph(PRODUCTS);
+      graph.create({ id: "p1", type: "product", name: "Shirt", count: "3", price: "9.99" });
+      assert.isEqual(3, graph.get("p1").count);
+      assert.isEqual(9.99, graph.get("p1").price);
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["p1", "count"], 2.5);
+      });
+    },
+
+    "Property defaults", function() {
+      var graph = new Data.Graph(PRODUCTS);
+      assert.isEqual(1, graph.schema.defaultValue("product", "count"));
+      assert.isEqual("", graph.schema.defaultValue("product", "name"));
+
+      graph.create({ id: "p1", type: "product", name: "Shirt" });
+      graph.create({ id: "p2", type: "product", name: "Socks", count: 5 });
+      assert.isEqual(1, graph.get("p1").count);
+      assert.isEqual(5, graph.get("p2").count);
+      assert.isArrayEqual([], graph.get("p1").tags);
+      // defaults are not shared
+      assert.isFalse(graph.get("p1").tags === graph.get("p2").tags);
+      assert.isUndefined(graph.get("p1").price);
+    },
+
+    "Required and nullable properties", function() {
+      var graph = new Data.Graph(PRODUCTS);
+      assert.isArrayEqual(["name"], graph.schema.requiredProperties("product"));
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.create({ id: "p1", type: "product", size: "M" });
+      });
+      graph.create({ id: "p1", type: "product", name: "Shirt", size: "M", price: null });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["p1", "size"], null);
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["p1", "name"], null);
+      });
+      graph.set(["p1", "price"], null);
+      assert.isNull(graph.get("p1").price);
+    },
+
+    "Constraints", function() {
+      var graph = new Data.Graph(PRODUCTS);
+      try {
+        graph.create({ id: "p1", type: "product", name: "Shirt", slug: "Shirt!", count: -1, price: 2000, size: "XL", released: "1999-01-01" });
+        assert.fail("Constraint violations must be rejected.");
+      } catch (err) {
+        var paths = _.map(err.issues, function(issue) { return issue.path.join("."); });
+        assert.isArrayEqual(["p1.slug", "p1.count", "p1.price", "p1.size", "p1.released"], paths);
+      }
+
+      graph.create({ id: "p1", type: "product", name: "Shirt", slug: "shirt", price: 1000, size: "L", released: "2014-01-01" });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["p1", "price"], -0.5);
+      });
+      assert.exception(Data.Graph.GraphError, function() {
+        graph.set(["p1", "slug"], "my shirt");
+      });
+      graph.set(["p1", "size"], "S");
+      assert.isEqual("S", graph.get("p1").size);
+      assert.isEqual(1000, graph.get("p1").price);
+    },
+
+    "Constraints in JSON Schema", function() {
+      var schema = new Data.Graph.Schema(PRODUCTS);
+      var doc = schema.toJSONSchema();
+      var props = doc.definitions.product.properties;
+      assert.isDeepEqual({ type: ["integer", "null"], minimum: 0, "default": 1 }, props.count);
+      assert.isDeepEqual({ type: "string", "enum": ["S", "M", "L"], "x-nullable": false }, props.size);
+      assert.isArrayEqual(["name"], doc.definitions.product.required);
+
+      var imported = Data.Graph.Schema.fromJSONSchema(doc);
+      assert.isDeepEqual(schema.propertySpecs("product"), _.extend(imported.propertySpecs("product"), {
+        name: { type: "string", required: true },
+        released: { type: "date", min: "2000-01-01" }
+      }));
+      assert.isEqual("2000-01-01T00:00:00.000Z", imported.propertySpec("product", "released").min);
+
+      var graph = new Data.Graph(PRODUCTS);
+      graph.create({ id: "p1", type: "product", name: "Shirt", count: 2, price: 9.5, released: "2014-01-01" });
+      assert.isArrayEqual([], Data.Graph.JSONSchema.validate(doc, graph.toJSON()));
+      var payload = graph.toJSON();
+      payload.nodes.p1.count = 1.5;
+      payload.nodes.p1.price = 1001;
+      payload.nodes.p1.released = "1999-01-01";
+      var issues = Data.Graph.JSONSchema.validate(doc, payload);
+      assert.isArrayEqual(["nodes.p1.count", "nodes.p1.price", "nodes.p1.released"], _.uniq(_.map(issues, function(issue) { return issue.path.join("."); })));
+    },
+
+    "Map and set types", function() {
+      assert.isDeepEqual({ a: 1 }, this.schema.parseValue("map", '{"a": 1}'));
+      assert.isArrayEqual([1, 2], this.schema.parseValue("set", [1, 2]));
+      assert.exception(function() {
+        this.schema.parseValue("set", [1, 1]);
+      }.bind(this));
+      assert.exception(function() {
+        this.schema.parseValue("map", [1]);
+      }.bind(this));
+      assert.isEqual("number", this.schema.elementType(["map", "number"]));
+      assert.isArrayEqual(["set", "string"], this.schema.elementType(["map", "set", "string"]));
+
+      var schema = new Data.Graph.Schema({
+        id: "notes",
+        version: "1.0.0",
+        types: {
+          footnote: { properties: { text: "string" } },
+          doc: { properties: { footnotes: ["map", "footnote"], keywords: ["set", "string"], meta: "map" } }
+        }
+      });
+      var doc = schema.toJSONSchema();
+      assert.isDeepEqual({ type: ["object", "null"], additionalProperties: { type: "string", "x-reference": "footnote" } }, doc.definitions.doc.properties.footnotes);
+      assert.isDeepEqual(schema.properties("doc"), Data.Graph.Schema.fromJSONSchema(doc).properties("doc"));
     }
   ];
 };
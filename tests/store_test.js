@@ -0,0 +1,235 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var fs   = require('fs');
+var os   = require('os');
+var path = require('path');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "fruits",
+  version: "1.0.0",
+  types: {
+    fruit: {
+      properties: {
+        name: "string",
+        color: "string"
+      }
+    }
+  }
+};
+
+var StoreTest = function() {
+
+  this.setup = function() {
+    this.store = new Data.Graph.MemoryStore();
+    this.graph = new Data.Graph(SCHEMA, { store: this.store });
+    this.graph.create({ id: "apple", type: "fruit", name: "My Apple", color: "red" });
+  };
+
+  this.actions = [
+
+    "Operations are journaled", function() {
+      this.graph.set(["apple", "color"], "green");
+      assert.isEqual(2, this.store.ops.length);
+      assert.isNull(this.store.snapshot);
+    },
+
+    "Load snapshot and journal", function() {
+      this.graph.save();
+      assert.isEqual(0, this.store.ops.length);
+      this.graph.set(["apple", "color"], "green");
+      this.graph.create({ id: "pear", type: "fruit", name: "Pear" });
+
+      var graph = new Data.Graph(SCHEMA, { store: this.store, load: true });
+      assert.isEqual("green", graph.get("apple", "color"));
+      assert.isTrue(graph.contains("pear"));
+
+      // the loaded state is the initial state
+      graph.delete("pear");
+      graph.reset();
+      assert.isTrue(graph.contains("pear"));
+    },
+
+    "Resets are persisted", function() {
+      this.graph.reset();
+      assert.isEqual(0, this.store.ops.length);
+      this.graph.create({ id: "pear", type: "fruit", name: "Pear" });
+
+      var graph = new Data.Graph(SCHEMA, { store: this.store, load: true });
+      assert.isFalse(graph.contains("apple"));
+      assert.isTrue(graph.contains("pear"));
+    },
+
+    "Compact folds the journal into the snapshot", function() {
+      this.graph.save();
+      this.graph.set(["apple", "color"], "green");
+      this.store.compact(function(err) {
+        assert.isNull(err);
+      });
+      assert.isEqual(0, this.store.ops.length);
+      assert.isEqual("green", this.store.snapshot.nodes.apple.color);
+    },
+
+    "Snapshots must conform to the schema", function() {
+      var store = new Data.Graph.MemoryStore();
+      store.save({ schema: ["vegetables", "1.0.0"], nodes: {} });
+      var graph = new Data.Graph(SCHEMA, { store: store });
+      var error;
+      graph.load(function(err) {
+        error = err;
+      });
+      assert.isDefined(error);
+    }
+  ];
+};
+
+// Stores are created in fresh temporary directories, which are removed
+// after each test
+var tmpCount = 0;
+
+var removeDir = function(dir) {
+  if (!fs.existsSync(dir)) return;
+  fs.readdirSync(dir).forEach(function(file) {
+    fs.unlinkSync(path.join(dir, file));
+  });
+  fs.rmdirSync(dir);
+};
+
+var FileStoreTest = function() {
+
+  this.setup = function() {
+    this.dir = path.join(os.tmpdir(), "substance-data-" + process.pid + "-" + (++tmpCount));
+    removeDir(this.dir);
+    this.store = new Data.FileStore(this.dir);
+    this.graph = new Data.Graph(SCHEMA, { store: this.store });
+    this.graph.create({ id: "apple", type: "fruit", name: "Apple", color: "red" });
+  };
+
+  // Loads a new graph from a new store in the same directory, like after a restart
+  this.restart = function(cb) {
+    var dir = this.dir;
+    // wait until all scheduled writes have finished
+    this.store.load(function(err) {
+      if (err) return cb(err);
+      var graph = new Data.Graph(SCHEMA, { store: new Data.FileStore(dir) });
+      graph.load(cb);
+    });
+  };
+
+  this.finish = function(cb) {
+    var dir = this.dir;
+    return function(err) {
+      removeDir(dir);
+      cb(err);
+    };
+  };
+
+  this.actions = [
+
+    "Save and load a snapshot", function(cb) {
+      var test = this;
+      var done = this.finish(cb);
+      this.graph.save(function(err) {
+        if (err) return done(err);
+        assert.isEqual("", fs.readFileSync(test.store.journalFile, "utf8"));
+        test.restart(function(err, graph) {
+          if (err) return done(err);
+          assert.isEqual(JSON.stringify(test.graph.toJSON()), JSON.stringify(graph.toJSON()));
+          done();
+        });
+      });
+    },
+
+    "Journaled operations are replayed after a restart", function(cb) {
+      var test = this;
+      var done = this.finish(cb);
+      this.graph.save();
+      this.graph.set(["apple", "color"], "green");
+      this.graph.update(["apple", "name"], { type: "insert", pos: 0, text: "Green " });
+      this.graph.create({ id: "pear", type: "fruit", name: "Pear" });
+      this.restart(function(err, graph) {
+        if (err) return done(err);
+        assert.isEqual("green", graph.get("apple", "color"));
+        assert.isEqual("Green Apple", graph.get("apple", "name"));
+        assert.isTrue(graph.contains("pear"));
+        done();
+      });
+    },
+
+    "Compact folds the journal into the snapshot", function(cb) {
+      var test = this;
+      var done = this.finish(cb);
+      this.graph.save();
+      this.graph.set(["apple", "color"], "green");
+      this.store.compact(function(err) {
+        if (err) return done(err);
+        assert.isEqual("", fs.readFileSync(test.store.journalFile, "utf8"));
+        var snapshot = JSON.parse(fs.readFileSync(test.store.snapshotFile, "utf8"));
+        assert.isEqual("green", snapshot.nodes.apple.color);
+        assert.isEqual(2, snapshot.journalSeq);
+        done();
+      });
+    },
+
+    "Operations contained in the snapshot are not replayed", function(cb) {
+      var test = this;
+      var done = this.finish(cb);
+      var journal;
+      this.graph.save();
+      this.graph.update(["apple", "name"], { type: "insert", pos: 0, text: "Green " });
+      this.store.load(function(err) {
+        if (err) return done(err);
+        journal = fs.readFileSync(test.store.journalFile, "utf8");
+      });
+      this.store.compact(function(err) {
+        if (err) return done(err);
+        // as if compaction had been interrupted before clearing the journal
+        fs.writeFileSync(test.store.journalFile, journal, "utf8");
+        test.graph.set(["apple", "color"], "green");
+        test.restart(function(err, graph) {
+          if (err) return done(err);
+          assert.isEqual("Green Apple", graph.get("apple", "name"));
+          assert.isEqual("green", graph.get("apple", "color"));
+          done();
+        });
+      });
+    },
+
+    "File accesses are run in the order they are requested", function(cb) {
+      var test = this;
+      var done = this.finish(cb);
+      var order = [];
+      var store = this.store;
+      store.save(this.graph.snapshot(), function(err) { order.push(err || "save"); });
+      this.graph.set(["apple", "color"], "green");
+      store.compact(function(err) { order.push(err || "compact"); });
+      this.graph.set(["apple", "color"], "yellow");
+      store.load(function(err, data) {
+        if (err) return done(err);
+        order.push("load");
+        assert.isArrayEqual(["save", "compact", "load"], order);
+        assert.isEqual("green", data.snapshot.nodes.apple.color);
+        assert.isArrayEqual(["yellow"], _.pluck(data.ops, "val"));
+        test.restart(function(err, graph) {
+          if (err) return done(err);
+          assert.isEqual("yellow", graph.get("apple", "color"));
+          done();
+        });
+      });
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Store'], new StoreTest());
+registerTest(['Substance.Data', 'FileStore'], new FileStoreTest());
@@ -0,0 +1,140 @@
+"use strict";
+
+// Import
+// ========
+
+var _    = require('underscore');
+var Test = require('substance-test');
+var assert = Test.assert;
+var registerTest = Test.registerTest;
+var Data = require('../index');
+
+
+// Test
+// ========
+
+var SCHEMA = {
+  id: "library",
+  version: "1.0.0",
+  types: {
+    person: {
+      properties: {
+        name: "string"
+      }
+    },
+    book: {
+      properties: {
+        title: "string",
+        author: "person",
+        chapters: ["array", "chapter"]
+      }
+    },
+    chapter: {
+      properties: {
+        title: "string",
+        cites: ["array", "book"]
+      }
+    },
+    shelf: {
+      properties: {
+        books: ["array", "book"]
+      }
+    }
+  }
+};
+
+var TraversalTest = function() {
+
+  this.setup = function() {
+    var graph = this.graph = new Data.Graph(SCHEMA);
+    graph.create({ id: "ada", type: "person", name: "Ada" });
+    graph.create({ id: "bob", type: "person", name: "Bob" });
+    graph.create({ id: "c1", type: "chapter", title: "One", cites: [] });
+    graph.create({ id: "c3", type: "chapter", title: "Three", cites: [] });
+    graph.create({ id: "b2", type: "book", title: "Second", author: "bob", chapters: ["c3"] });
+    graph.create({ id: "c2", type: "chapter", title: "Two", cites: ["b2"] });
+    graph.create({ id: "b1", type: "book", title: "First", author: "ada", chapters: ["c1", "c2"] });
+    graph.create({ id: "shelf", type: "shelf", books: ["b1"] });
+  };
+
+  var ids = function(nodes) {
+    return _.pluck(nodes, "id");
+  };
+
+  this.actions = [
+
+    "Traverse outgoing references breadth-first", function() {
+      assert.isArrayEqual(["b1", "ada", "c1", "c2", "b2", "bob", "c3"], ids(this.graph.traverse("b1")));
+    },
+
+    "Traverse depth-first", function() {
+      assert.isArrayEqual(["b1", "ada", "c1", "c2", "b2", "bob", "c3"], ids(this.graph.traverse("b1", { order: "dfs" })));
+      assert.isArrayEqual(["shelf", "b1", "ada", "c1", "c2", "b2", "bob", "c3"], ids(this.graph.traverse("shelf", { order: "dfs" })));
+    },
+
+    "Limit the depth", function() {
+      assert.isArrayEqual(["b1", "ada", "c1", "c2"], ids(this.graph.traverse("b1", { maxDepth: 1 })));
+      assert.isArrayEqual(["b1"], ids(this.graph.traverse("b1", { maxDepth: 0 })));
+    },
+
+    "Traverse incoming references", function() {
+      assert.isArrayEqual(["b2", "c2", "b1", "shelf"], ids(this.graph.traverse("b2", { direction: "incoming" })));
+      assert.isArrayEqual(["bob", "b2", "c3", "c2"], ids(this.graph.traverse("bob", { direction: "both", maxDepth: 2 })));
+    },
+
+    "Restrict to types", function() {
+      assert.isArrayEqual(["b1", "c1", "c2"], ids(this.graph.traverse("b1", { types: ["chapter"] })));
+    },
+
+    "Visit nodes and prune", function() {
+      var visited = [];
+      var result = this.graph.traverse("b1", {
+        visit: function(node, depth) {
+          visited.push(node.id + ":" + depth);
+          return node.type !== "chapter";
+        }
+      });
+      assert.isArrayEqual(["b1:0", "ada:1", "c1:1", "c2:1"], visited);
+      assert.isArrayEqual(["b1", "ada", "c1", "c2"], ids(result));
+    },
+
+    "Traversal of unknown nodes fails", function() {
+      assert.exception(Data.Graph.GraphError, function() {
+        this.graph.traverse("nobody");
+      }.bind(this));
+      assert.exception(Data.Graph.GraphError, function() {
+        this.graph.traverse("b1", { direction: "sideways" });
+      }.bind(this));
+    },
+
+    "Shortest paths", function() {
+      assert.isArrayEqual(["shelf", "b1", "c2", "b2", "bob"], ids(this.graph.shortestPath("shelf", "bob")));
+      assert.isArrayEqual(["ada"], ids(this.graph.shortestPath("ada", "ada")));
+      assert.isNull(this.graph.shortestPath("bob", "ada"));
+      assert.isArrayEqual(["bob", "b2", "c2", "b1", "ada"], ids(this.graph.shortestPath("bob", "ada", { direction: "both" })));
+      assert.isNull(this.graph.shortestPath("shelf", "bob", { maxDepth: 3 }));
+    },
+
+    "Extract a subgraph", function() {
+      var sub = this.graph.subgraph(["b2"]);
+      assert.isTrue(sub instanceof Data.Graph);
+      assert.isEqual(this.graph.schema, sub.schema);
+      assert.isArrayEqual(["b2", "bob", "c3"], _.keys(sub.nodes).sort());
+
+      // the subgraph is independent of the original graph
+      sub.set(["b2", "title"], "Changed");
+      assert.isEqual("Second", this.graph.get("b2").title);
+    },
+
+    "Extract a subgraph up to a depth", function() {
+      var sub = this.graph.subgraph(["c1", "b2"], 1);
+      assert.isArrayEqual(["b2", "bob", "c1", "c3"], _.keys(sub.nodes).sort());
+
+      sub = this.graph.subgraph("shelf", 1);
+      assert.isArrayEqual(["b1", "shelf"], _.keys(sub.nodes).sort());
+      assert.isArrayEqual(["c1", "c2"], sub.get("b1").chapters);
+    }
+  ];
+};
+
+registerTest(['Substance.Data', 'Traversal'], new TraversalTest());